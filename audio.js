@@ -0,0 +1,298 @@
+(() => {
+  'use strict';
+
+  /*
+   * Space Shooter Audio
+   * - Web Audio engine; every sound is synthesized, so there are no audio files
+   * - Sound effects are short oscillator / noise envelopes
+   * - Music is a small step sequencer scheduled just ahead of the audio clock;
+   *   layers are added as the difficulty level (intensity) rises
+   * - The AudioContext is created on the first user gesture (autoplay policy)
+   * - Sections:
+   *   1) Constants
+   *   2) Synth Helpers
+   *   3) Sound Effects
+   *   4) Music
+   *   5) Engine
+   */
+
+  /**
+   * 1) Constants
+   */
+  const SCHEDULE_INTERVAL_MS = 25; // how often the music scheduler wakes up
+  const SCHEDULE_AHEAD_SEC = 0.12; // how far ahead of the audio clock notes are queued
+  const BASE_TEMPO_BPM = 112;
+  const TEMPO_STEP_BPM = 4; // faster per intensity level...
+  const MAX_TEMPO_LEVEL = 6; // ...up to this level
+  const STEPS_PER_BAR = 16; // sixteenth notes
+
+  /** A-minor loop (Am, F, C, G): root frequencies of each bar's chord and its tones. */
+  const PROGRESSION = [
+    { root: 110.0, tones: [220.0, 261.63, 329.63] },
+    { root: 87.31, tones: [174.61, 220.0, 261.63] },
+    { root: 130.81, tones: [261.63, 329.63, 392.0] },
+    { root: 98.0, tones: [196.0, 246.94, 293.66] },
+  ];
+
+  /** Lead line, one entry per eighth note of a bar (index into the chord tones; -1 rests). */
+  const LEAD_PATTERN = [2, -1, 1, 2, -1, 0, 1, -1];
+
+  /**
+   * 2) Synth Helpers
+   * All take the engine graph `a` ({ ctx, sfx, music, noise }) and a start
+   * time `t` on the audio clock.
+   */
+
+  /** Oscillator sweeping `from` -> `to` Hz with a fast attack and exponential decay. */
+  function tone(a, t, out, { type = 'square', from, to = from, duration, gain }) {
+    const osc = a.ctx.createOscillator();
+    const amp = a.ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, t);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + duration);
+    amp.gain.setValueAtTime(0.0001, t);
+    amp.gain.exponentialRampToValueAtTime(gain, t + 0.005);
+    amp.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    osc.connect(amp).connect(out);
+    osc.start(t);
+    osc.stop(t + duration + 0.02);
+  }
+
+  /** White noise through a filter whose cutoff sweeps `from` -> `to` Hz. */
+  function noise(a, t, out, { filter = 'lowpass', from, to = from, duration, gain }) {
+    const src = a.ctx.createBufferSource();
+    const biquad = a.ctx.createBiquadFilter();
+    const amp = a.ctx.createGain();
+    src.buffer = a.noise;
+    biquad.type = filter;
+    biquad.frequency.setValueAtTime(from, t);
+    if (to !== from) biquad.frequency.exponentialRampToValueAtTime(to, t + duration);
+    amp.gain.setValueAtTime(gain, t);
+    amp.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+    src.connect(biquad).connect(amp).connect(out);
+    src.start(t);
+    src.stop(t + duration + 0.02);
+  }
+
+  /** One second of white noise, shared by every noise voice. */
+  function createNoiseBuffer(ctx) {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  /**
+   * 3) Sound Effects
+   * Keyed by name; each plays into the SFX bus at time `t`.
+   */
+  const SFX = {
+    shot(a, t) {
+      tone(a, t, a.sfx, { type: 'square', from: 880, to: 440, duration: 0.07, gain: 0.08 });
+    },
+    hit(a, t) {
+      tone(a, t, a.sfx, { type: 'triangle', from: 320, to: 200, duration: 0.06, gain: 0.18 });
+    },
+    explosion(a, t) {
+      noise(a, t, a.sfx, { from: 2200, to: 200, duration: 0.35, gain: 0.35 });
+      tone(a, t, a.sfx, { type: 'sine', from: 140, to: 40, duration: 0.3, gain: 0.3 });
+    },
+    bigExplosion(a, t) {
+      noise(a, t, a.sfx, { from: 3000, to: 80, duration: 1.4, gain: 0.6 });
+      tone(a, t, a.sfx, { type: 'sine', from: 90, to: 30, duration: 1.2, gain: 0.5 });
+      noise(a, t + 0.25, a.sfx, { from: 1800, to: 100, duration: 0.8, gain: 0.4 });
+    },
+    playerHit(a, t) {
+      tone(a, t, a.sfx, { type: 'sawtooth', from: 400, to: 60, duration: 0.5, gain: 0.25 });
+      noise(a, t, a.sfx, { from: 1200, to: 150, duration: 0.3, gain: 0.3 });
+    },
+    powerUp(a, t) {
+      [523.25, 659.25, 783.99, 1046.5].forEach((f, i) => {
+        tone(a, t + i * 0.06, a.sfx, { type: 'triangle', from: f, duration: 0.12, gain: 0.16 });
+      });
+    },
+    graze(a, t) {
+      tone(a, t, a.sfx, { type: 'sine', from: 2400, to: 2000, duration: 0.03, gain: 0.05 });
+    },
+    comboUp(a, t) {
+      [659.25, 987.77].forEach((f, i) => {
+        tone(a, t + i * 0.05, a.sfx, { type: 'square', from: f, duration: 0.08, gain: 0.07 });
+      });
+    },
+    shield(a, t) {
+      tone(a, t, a.sfx, { type: 'sine', from: 1200, to: 500, duration: 0.25, gain: 0.22 });
+    },
+    bomb(a, t) {
+      noise(a, t, a.sfx, { from: 4000, to: 60, duration: 0.9, gain: 0.55 });
+      tone(a, t, a.sfx, { type: 'sine', from: 200, to: 30, duration: 0.8, gain: 0.45 });
+    },
+    lifeGained(a, t) {
+      [392, 523.25, 659.25, 783.99, 1046.5].forEach((f, i) => {
+        tone(a, t + i * 0.05, a.sfx, { type: 'square', from: f, duration: 0.1, gain: 0.08 });
+      });
+    },
+    warning(a, t) {
+      for (let i = 0; i < 3; i++) {
+        tone(a, t + i * 0.32, a.sfx, { type: 'sawtooth', from: 220, to: 180, duration: 0.24, gain: 0.16 });
+      }
+    },
+    gameOver(a, t) {
+      [392, 329.63, 261.63, 196].forEach((f, i) => {
+        tone(a, t + i * 0.18, a.sfx, { type: 'triangle', from: f, duration: 0.3, gain: 0.22 });
+      });
+    },
+  };
+
+  /**
+   * 4) Music
+   * Plays sixteenth-note `step` of bar `bar` at time `t`. Layers by intensity:
+   * 0 bass + kick, 1 hi-hats, 2 snare + arpeggio, 3+ lead line.
+   */
+  function playMusicStep(a, t, bar, step, intensity, stepSec) {
+    const chord = PROGRESSION[bar % PROGRESSION.length];
+    if (step % 4 === 0) tone(a, t, a.music, { type: 'sine', from: 150, to: 45, duration: 0.18, gain: 0.5 });
+    if (step % 2 === 0) {
+      const octave = step % 8 === 4 ? 2 : 1;
+      tone(a, t, a.music, { type: 'sawtooth', from: chord.root * octave, duration: stepSec * 1.8, gain: 0.09 });
+    }
+    if (intensity >= 1 && step % 4 === 2) {
+      noise(a, t, a.music, { filter: 'highpass', from: 7000, duration: 0.04, gain: 0.12 });
+    }
+    if (intensity >= 2) {
+      if (step % 8 === 4) noise(a, t, a.music, { filter: 'bandpass', from: 1800, duration: 0.14, gain: 0.25 });
+      tone(a, t, a.music, { type: 'triangle', from: chord.tones[step % 3] * 2, duration: stepSec * 0.9, gain: 0.05 });
+    }
+    if (intensity >= 3 && step % 2 === 0) {
+      const note = LEAD_PATTERN[step / 2];
+      if (note >= 0) tone(a, t, a.music, { type: 'square', from: chord.tones[note] * 2, duration: stepSec * 1.6, gain: 0.045 });
+    }
+  }
+
+  /**
+   * 5) Engine
+   * Created once by the page. Until unlock() runs inside a user gesture every
+   * call is a silent no-op (music requested earlier starts on unlock).
+   * @param {{musicVolume:number,sfxVolume:number,muted:boolean}} volumes
+   */
+  function createAudioEngine(volumes) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let graph = null; // { ctx, master, music, sfx, noise } once unlocked
+    let current = { ...volumes };
+    const music = { wanted: false, timer: 0, nextTimeSec: 0, bar: 0, step: 0, intensity: 0 };
+
+    function stepSec() {
+      const bpm = BASE_TEMPO_BPM + Math.min(music.intensity, MAX_TEMPO_LEVEL) * TEMPO_STEP_BPM;
+      return 60 / bpm / 4;
+    }
+
+    /** Queue every music step that falls inside the lookahead window. */
+    function scheduleMusic() {
+      const { ctx } = graph;
+      while (music.nextTimeSec < ctx.currentTime + SCHEDULE_AHEAD_SEC) {
+        const duration = stepSec();
+        playMusicStep(graph, music.nextTimeSec, music.bar, music.step, music.intensity, duration);
+        music.nextTimeSec += duration;
+        music.step += 1;
+        if (music.step === STEPS_PER_BAR) {
+          music.step = 0;
+          music.bar += 1;
+        }
+      }
+    }
+
+    function runMusic() {
+      if (!graph || music.timer) return;
+      music.nextTimeSec = graph.ctx.currentTime + 0.05;
+      music.bar = 0;
+      music.step = 0;
+      music.timer = setInterval(scheduleMusic, SCHEDULE_INTERVAL_MS);
+    }
+
+    function haltMusic() {
+      clearInterval(music.timer);
+      music.timer = 0;
+    }
+
+    /** Push `current` volumes to the buses, smoothing to avoid clicks. */
+    function applyVolumes() {
+      if (!graph) return;
+      const t = graph.ctx.currentTime;
+      graph.master.gain.setTargetAtTime(current.muted ? 0 : 1, t, 0.02);
+      graph.music.gain.setTargetAtTime(current.musicVolume * 0.6, t, 0.02);
+      graph.sfx.gain.setTargetAtTime(current.sfxVolume, t, 0.02);
+    }
+
+    /**
+     * Create / resume the context. Call from a user-gesture handler; iOS also
+     * needs a sound started inside the gesture, hence the silent buffer.
+     * @returns {boolean} true once audio is running
+     */
+    function unlock() {
+      if (!AudioContextClass) return false;
+      if (!graph) {
+        const ctx = new AudioContextClass();
+        const master = ctx.createGain();
+        const musicBus = ctx.createGain();
+        const sfxBus = ctx.createGain();
+        musicBus.connect(master);
+        sfxBus.connect(master);
+        master.connect(ctx.destination);
+        graph = { ctx, master, music: musicBus, sfx: sfxBus, noise: createNoiseBuffer(ctx) };
+        applyVolumes();
+      }
+      const { ctx } = graph;
+      const silent = ctx.createBufferSource();
+      silent.buffer = ctx.createBuffer(1, 1, 22050);
+      silent.connect(ctx.destination);
+      silent.start(0);
+      if (ctx.state !== 'running') ctx.resume();
+      if (music.wanted) runMusic();
+      return ctx.state === 'running';
+    }
+
+    /** Play the named SFX now. */
+    function play(name) {
+      if (!graph || graph.ctx.state !== 'running' || current.muted) return;
+      const sfx = SFX[name];
+      if (sfx) sfx(graph, graph.ctx.currentTime);
+    }
+
+    function startMusic() {
+      music.wanted = true;
+      runMusic();
+    }
+
+    function stopMusic() {
+      music.wanted = false;
+      haltMusic();
+    }
+
+    /** Music intensity follows the difficulty level: more layers, faster tempo. */
+    function setIntensity(level) {
+      music.intensity = Math.max(0, level);
+    }
+
+    /** @param {{musicVolume?:number,sfxVolume?:number,muted?:boolean}} next */
+    function setVolumes(next) {
+      current = { ...current, ...next };
+      applyVolumes();
+    }
+
+    /** Silence everything while the page is hidden; resume() picks up again. */
+    function suspend() {
+      if (!graph) return;
+      haltMusic();
+      graph.ctx.suspend();
+    }
+
+    function resume() {
+      if (!graph) return;
+      graph.ctx.resume();
+      if (music.wanted) runMusic();
+    }
+
+    return { unlock, play, startMusic, stopMusic, setIntensity, setVolumes, suspend, resume };
+  }
+
+  window.SpaceShooterAudio = { createAudioEngine, SFX };
+})();
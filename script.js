@@ -4,15 +4,17 @@
   /*
    * Space Shooter Game Script
    * - Organized, documented, and mobile-first
+   * - Browser shell around the DOM-free simulation in sim.js: input, replays,
+   *   HUD, overlays and canvas rendering
    * - Sections follow a consistent order:
    *   1) Constants / Config
    *   2) DOM & Assets
    *   3) Sizing & Resolution
    *   4) Game State
-   *   5) Entity Definitions & Collections
+   *   5) Simulation
    *   6) Input
    *   7) Utilities
-   *   8) Gameplay (spawning, logic)
+   *   8) Gameplay (session control)
    *   9) Game Loop & Update
    *  10) Rendering
    *  11) Bootstrap / Init
@@ -20,30 +22,167 @@
 
   /**
    * 1) Constants / Config
-   * Tunable numeric parameters for gameplay and rendering.
+   * Rendering and loop parameters. Gameplay tuning lives in sim.js (DEFAULT_CONFIG).
    */
   const CANVAS_WIDTH = 800;  // base landscape logical width
   const CANVAS_HEIGHT = 600; // base landscape logical height
   const PORTRAIT_WIDTH = 600;  // base portrait logical width
   const PORTRAIT_HEIGHT = 800; // base portrait logical height
-  const PLAYER_SPEED = 320; // px/s
-  const BULLET_SPEED = 700; // px/s
-  const ENEMY_MIN_SPEED = 70; // px/s
-  const ENEMY_MAX_SPEED = 160; // px/s
-  const SHOOT_COOLDOWN_SEC = 0.22;
-  const INVULNERABILITY_SEC = 1.5;
-  const ENEMY_SPAWN_MIN_SEC = 0.45;
-  const ENEMY_SPAWN_MAX_SEC = 0.9;
-  const MAX_LIVES = 3;
-  const POWERUP_DURATION_SEC = 5.0;
-  const POWERUP_SPAWN_MIN_SEC = 8.0;
-  const POWERUP_SPAWN_MAX_SEC = 16.0;
-  const POWERUP_SPEED = 90;
-  const ENEMY_BULLET_SPEED = 280; // px/s
-  const ENEMY_SHOOT_MIN_SEC = 1.0;
-  const ENEMY_SHOOT_MAX_SEC = 2.5;
-  const DIFFICULTY_INTERVAL_SEC = 60; // every minute
-  const DIFFICULTY_SPEED_STEP = 0.15; // +15% enemy speed per interval
+  const FIXED_STEP_SEC = 1 / 60; // simulation always advances in fixed steps
+  const MAX_FRAME_SEC = 0.033; // clamp for long frames (tab switches, hitches)
+  const MAX_STEPS_PER_FRAME = 10; // enough for 4× replay speed at the clamp
+  const REPLAY_VERSION = 9; // v9: bombs
+  const SAVE_VERSION = 1; // saved-run format (see saveRun); saves of another version, or of another REPLAY_VERSION, are discarded
+  const AUTOSAVE_INTERVAL_SEC = 5; // a live run is also saved this often while played
+  const LEVELS_INDEX_URL = 'levels/index.json';
+  const ASSET_MANIFEST_URL = 'public/assets.json';
+  const SERVICE_WORKER_URL = 'sw.js'; // relative, so its scope is the game's own directory
+  const STRESS_DEFAULT_ENEMIES = 2000; // ?stress without a count
+  const STRESS_MAX_ENEMIES = 20000;
+  const STRESS_SAMPLE_FRAMES = 600; // frames timed per stress run (~10 s at 60 Hz)
+  const DEBUG_TOGGLE_KEY = 'Backquote'; // opens the debug panel (as does ?debug)
+  const DEBUG_PANEL_REFRESH_SEC = 0.25; // the panel text is rebuilt this often, not every frame
+  const DEBUG_SLOW_MOTION = 0.25; // time scale of the slow-motion toggle and of a bare ?slowmo
+  /**
+   * Debug commands by key while the debug panel is open (Shift with a spawn
+   * key picks the next type instead). Fixed rather than remappable: each
+   * command also has a query param (see applyDebugParams).
+   */
+  const DEBUG_KEYS = {
+    Digit1: { command: 'god', label: 'god mode' },
+    Digit2: { command: 'hitboxes', label: 'hitboxes' },
+    Digit3: { command: 'levelUp', label: 'level +1' },
+    Digit4: { command: 'spawnEnemy', label: 'spawn enemy' },
+    Digit5: { command: 'spawnPowerUp', label: 'spawn power-up' },
+    Digit6: { command: 'slowMotion', label: 'slow motion' },
+    Digit7: { command: 'freeze', label: 'freeze' },
+    Digit8: { command: 'step', label: 'single step' },
+  };
+  /**
+   * Default controls per action: keyboard `code`s and gamepad button indices
+   * (standard mapping: 0 A, 1 B, 7 RT, 9 Start, 12-15 D-pad up/down/left/right).
+   * Both can be remapped on the Controls screen; the help panel follows.
+   * Player 2's actions are keyboard only: a second player on a gamepad uses
+   * the shared button bindings (see padForPlayer).
+   */
+  const DEFAULT_BINDINGS = {
+    up: { keys: ['ArrowUp', 'KeyW'], buttons: [12] },
+    left: { keys: ['ArrowLeft', 'KeyA'], buttons: [14] },
+    down: { keys: ['ArrowDown', 'KeyS'], buttons: [13] },
+    right: { keys: ['ArrowRight', 'KeyD'], buttons: [15] },
+    fire: { keys: ['Space', 'KeyJ'], buttons: [0, 7] },
+    bomb: { keys: ['KeyB', 'KeyX'], buttons: [1] },
+    p2up: { keys: ['KeyO', 'Numpad8'], buttons: [] },
+    p2left: { keys: ['KeyK', 'Numpad4'], buttons: [] },
+    p2down: { keys: ['KeyL', 'Numpad5'], buttons: [] },
+    p2right: { keys: ['Semicolon', 'Numpad6'], buttons: [] },
+    p2fire: { keys: ['KeyU', 'Numpad0'], buttons: [] },
+    p2bomb: { keys: ['KeyI', 'NumpadDecimal'], buttons: [] },
+    pause: { keys: ['Escape', 'KeyP'], buttons: [9] },
+    restart: { keys: ['Enter'], buttons: [9] },
+    mute: { keys: ['KeyM'], buttons: [] },
+    focus: { keys: ['ShiftLeft', 'ShiftRight'], buttons: [4] }, // held: show the ships' core hitboxes
+  };
+  const ACTION_LABELS = {
+    up: 'Up', left: 'Left', down: 'Down', right: 'Right', fire: 'Shoot', bomb: 'Bomb',
+    p2up: 'P2 Up', p2left: 'P2 Left', p2down: 'P2 Down', p2right: 'P2 Right', p2fire: 'P2 Shoot', p2bomb: 'P2 Bomb',
+    pause: 'Pause', restart: 'Restart', mute: 'Mute', focus: 'Show hitbox',
+  };
+  /** Gameplay actions per player, in Input order (player 1 first). */
+  const PLAYER_ACTIONS = [
+    { up: 'up', left: 'left', down: 'down', right: 'right', fire: 'fire', bomb: 'bomb' },
+    { up: 'p2up', left: 'p2left', down: 'p2down', right: 'p2right', fire: 'p2fire', bomb: 'p2bomb' },
+  ];
+  /** Actions that never apply at the same time (playing vs. game over), so they may share an input. */
+  const COMPATIBLE_ACTIONS = { pause: 'restart', restart: 'pause' };
+  const KEY_LABELS = { ArrowUp: '↑', ArrowLeft: '←', ArrowDown: '↓', ArrowRight: '→', Escape: 'Esc', Backquote: '`', ShiftLeft: 'Shift', ShiftRight: 'Right Shift', Semicolon: ';' };
+  const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+  const STICK_DEADZONE = 0.25; // radial; smaller deflections are ignored
+  const TRIGGER_THRESHOLD = 0.5; // analog buttons (triggers) count as pressed past this
+
+  /**
+   * Parallax background, far to near. Speeds are px/s at the base difficulty
+   * and scale with the simulation's enemySpeedMultiplier. Nebulae are soft
+   * colored blobs; stars are dots that stretch into streaks on the fast layers.
+   */
+  const BACKGROUND_LAYERS = [
+    { kind: 'nebula', count: 4, speed: 5, minRadius: 140, maxRadius: 260, colors: ['#3a1c71', '#0b3d91', '#5b1a4a', '#0e4d4d'], alpha: 0.22 },
+    { kind: 'stars', count: 110, speed: 12, minSize: 0.5, maxSize: 1.1, alpha: 0.45 },
+    { kind: 'stars', count: 60, speed: 32, minSize: 0.9, maxSize: 1.6, alpha: 0.7 },
+    { kind: 'stars', count: 24, speed: 80, minSize: 1.3, maxSize: 2.2, alpha: 0.95, streak: 0.06 },
+  ];
+
+  /**
+   * Screen shake: events add trauma (0..1), which decays linearly; the offset
+   * grows with trauma² so small knocks stay subtle and big ones really hit.
+   */
+  const EVENT_TRAUMA = { playerHit: 0.6, shieldAbsorbed: 0.35, bomb: 0.6, heavyKill: 0.25, bossDefeated: 1 };
+  const TRAUMA_DECAY_PER_SEC = 1.4;
+  const SHAKE_MAX_OFFSET = 14; // logical px at full trauma
+  const SHAKE_MAX_ANGLE = 0.035; // radians at full trauma
+  const SHIP_BANK_THRESHOLD = 0.5; // logical px of sideways movement per frame that banks the ship
+  const POPUP_DURATION_SEC = 0.8; // floating score numbers rise and fade over this long
+  const POPUP_RISE_PX = 36;
+  const TIMER_URGENT_SEC = 10; // a mode countdown turns red for its last seconds
+  const COMBO_POPUP_COLOR = '#ffd166'; // kills scored at a multiplier above ×1
+  const SPARKLINE_WIDTH = 260; // run-stats score chart, CSS px
+  const SPARKLINE_HEIGHT = 44;
+  const LIFE_LOSS_LABELS = { collision: 'collision', enemyBullet: 'enemy bullet', escape: 'enemy escaped' };
+  const SPRITE_MASK_SIZE = 48; // px square a sprite is sampled at for its alpha-mask hitbox
+
+  /**
+   * Permanent upgrades bought in the between-run shop with credits earned
+   * from score. `costs[i]` buys level i + 1; apply(config, level) adjusts the
+   * game config of every later run (sim.js keys).
+   */
+  const UPGRADES = {
+    reserveShip: {
+      label: 'Reserve ship',
+      description: '+1 starting life above the difficulty maximum',
+      costs: [300, 800, 1800],
+      apply: (config, level) => { config.extraLives = level; },
+    },
+    fireRate: {
+      label: 'Faster fire',
+      description: '−8% shot cooldown per level',
+      costs: [200, 450, 900, 1600],
+      apply: (config, level) => { config.shootCooldownSec *= 1 - 0.08 * level; },
+    },
+    powerUpDuration: {
+      label: 'Longer power-ups',
+      description: '+20% timed power-up duration per level',
+      costs: [250, 600, 1200],
+      apply: (config, level) => { config.powerUpDurationScale = (config.powerUpDurationScale || 1) * (1 + 0.2 * level); },
+    },
+    startShield: {
+      label: 'Starting shield',
+      description: 'Begin every run shielded',
+      costs: [900],
+      apply: (config, level) => { config.startShield = level > 0; },
+    },
+  };
+  const CREDITS_PER_POINT = 0.1; // credits earned per point scored in a live run
+  const PROGRESS_VERSION = 1; // bump with a migration in migrateProgress when the saved shape changes
+  const DAILY_VERSION = 1; // saved daily history format; other versions are discarded
+  const DAILY_HISTORY_DAYS = 30; // daily results kept
+  const DAILY_PRESET = 'normal'; // every daily run plays this difficulty, solo and without upgrades
+
+  /** Sound effect (audio.js SFX key) played for each simulation event type. */
+  const EVENT_SFX = {
+    shot: 'shot',
+    enemyHit: 'hit',
+    bossHit: 'hit',
+    enemyKilled: 'explosion',
+    bossDefeated: 'bigExplosion',
+    bossSpawn: 'warning',
+    lifeLost: 'playerHit',
+    shieldAbsorbed: 'shield',
+    powerUp: 'powerUp',
+    bomb: 'bomb',
+    lifeGained: 'lifeGained',
+    graze: 'graze',
+    comboUp: 'comboUp',
+  };
 
   /**
    * 2) DOM & Assets
@@ -51,15 +190,29 @@
   const canvas = document.getElementById('gameCanvas');
   const ctx = canvas.getContext('2d');
   const scoreEl = document.getElementById('score');
+  const playerScoresEl = document.getElementById('playerScores');
+  const bestEl = document.getElementById('best');
+  const powerUpsHudEl = document.getElementById('powerUps');
+  const comboHudEl = document.getElementById('combo');
+  const modeTimerEl = document.getElementById('modeTimer');
   const livesEl = document.getElementById('lives');
+  const bombsEl = document.getElementById('bombs');
   const overlayEl = document.getElementById('overlay');
   const helpEl = document.querySelector('.help');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const replayHudEl = document.getElementById('replayHud');
+  const replayTimeEl = document.getElementById('replayTime');
+  const bannerEl = document.getElementById('banner');
+  const updatePromptEl = document.getElementById('updatePrompt');
+  const debugPanelEl = document.getElementById('debugPanel');
 
-  // Assets
-  const jetImg = new Image();
-  jetImg.src = 'public/jet.png';
-  const enemyImg = new Image();
-  enemyImg.src = 'public/enemy.png';
+  /**
+   * Assets from the manifest (see loadAssets). `images` holds only images that
+   * loaded, by manifest key; sim.js definitions refer to these keys (e.g.
+   * ENEMY_TYPES[type].sprite). `sheets` holds validated sprite sheets by name.
+   * Anything missing is drawn with a vector fallback.
+   */
+  const assets = { images: {}, sheets: {} };
 
   /**
    * 3) Sizing & Resolution
@@ -70,8 +223,6 @@
   let GAME_HEIGHT = CANVAS_HEIGHT;
   let renderScaleX = 1;
   let renderScaleY = 1;
-  let lastLogicalWidth = GAME_WIDTH;
-  let lastLogicalHeight = GAME_HEIGHT;
 
   /**
    * Resize the backing store to match CSS size and devicePixelRatio.
@@ -89,96 +240,234 @@
       canvas.height = displayHeight;
     }
 
-    const isPortrait = rect.height > rect.width;
-    const newGameWidth = isPortrait ? PORTRAIT_WIDTH : CANVAS_WIDTH;
-    const newGameHeight = isPortrait ? PORTRAIT_HEIGHT : CANVAS_HEIGHT;
-
-    // If logical size changed (e.g., orientation), rescale positions proportionally
-    if (newGameWidth !== GAME_WIDTH || newGameHeight !== GAME_HEIGHT) {
-      const scaleX = newGameWidth / GAME_WIDTH;
-      const scaleY = newGameHeight / GAME_HEIGHT;
+    // During playback the replay dictates the logical size (see nextReplayInput)
+    if (!playback) {
+      const isPortrait = rect.height > rect.width;
+      setLogicalSize(isPortrait ? PORTRAIT_WIDTH : CANVAS_WIDTH, isPortrait ? PORTRAIT_HEIGHT : CANVAS_HEIGHT);
+    }
 
-      player.x *= scaleX;
-      player.y *= scaleY;
-      for (const e of enemies) { e.x *= scaleX; e.y *= scaleY; }
-      for (const b of bullets) { b.x *= scaleX; b.y *= scaleY; }
-      for (const p of particles) { p.x *= scaleX; p.y *= scaleY; }
+    renderScaleX = canvas.width / GAME_WIDTH;
+    renderScaleY = canvas.height / GAME_HEIGHT;
+  }
 
+  /**
+   * Switch the logical game size (e.g., on orientation change), rescaling
+   * entity positions proportionally. Recorded so replays can reproduce it.
+   */
+  function setLogicalSize(newGameWidth, newGameHeight) {
+    if (newGameWidth !== GAME_WIDTH || newGameHeight !== GAME_HEIGHT) {
       GAME_WIDTH = newGameWidth;
       GAME_HEIGHT = newGameHeight;
-      lastLogicalWidth = GAME_WIDTH;
-      lastLogicalHeight = GAME_HEIGHT;
-
-      // Clamp player after rescale
-      player.x = clamp(player.x, 0, GAME_WIDTH - player.width);
-      player.y = clamp(player.y, 0, GAME_HEIGHT - player.height);
+      if (game) game.resize(GAME_WIDTH, GAME_HEIGHT);
+      if (recorder) recorder.resizes.push([recorder.stepCount, GAME_WIDTH, GAME_HEIGHT]);
     }
-
-    renderScaleX = canvas.width / GAME_WIDTH;
-    renderScaleY = canvas.height / GAME_HEIGHT;
   }
 
   /**
    * 4) Game State
    */
-  let currentScore = 0;
-  let remainingLives = MAX_LIVES;
-  let gameState = 'playing'; // 'playing' | 'gameover'
+  let gameState = 'loading'; // 'loading' | 'title' | 'playing' | 'paused' | 'gameover'
+
+  /** Persisted player preferences (see loadSettings/saveSettings). */
+  const SETTINGS_STORAGE_KEY = 'spaceshooter.settings';
+  const settings = {
+    autoPause: true, // pause when the tab is hidden or the window loses focus
+    musicVolume: 0.6, // 0..1
+    sfxVolume: 0.8, // 0..1
+    muted: false,
+    mode: 'endless', // GAME_MODES key, last picked on the title screen
+    difficulty: 'normal', // DIFFICULTY_PRESETS key or 'custom'
+    customTuning: {}, // TUNABLES overrides used by the Custom preset
+    screenShake: true, // camera shake on hits and big explosions
+    coop: false, // two players on one screen, from the next run
+    showCore: false, // always draw the ships' core hitbox, not only while focus is held
+    spriteHitboxes: false, // enemies collide by their sprites' alpha masks, from the next run
+  };
+
+  /** Active controls, action -> { keys, buttons } (see loadBindings). */
+  const BINDINGS_STORAGE_KEY = 'spaceshooter.bindings';
+  const bindings = {};
+  /** Controls screen waiting for the next key or button: { action, device: 'keys'|'buttons' }. */
+  let rebinding = null;
+
+  /** Synthesized music and SFX (audio.js); silent until the first user gesture. */
+  const audio = window.SpaceShooterAudio.createAudioEngine(settings);
+
+  /** Local top-10 leaderboard per game mode (see loadHighScores/addHighScore). */
+  const HIGHSCORES_STORAGE_KEY = 'spaceshooter.highscores';
+  const LAST_INITIALS_STORAGE_KEY = 'spaceshooter.lastInitials';
+  const HIGHSCORE_LIMIT = 10;
+  const INITIALS_LENGTH = 3;
+  const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  /** @typedef {{score:number,initials:string,date:string,timeSec:number,level:number,preset:string,mode:string}} HighScore */
+
+  /** Initials being entered on the game-over screen, or null. */
+  let initialsEntry = null;
+  /** Leaderboard row highlighted on the game-over screen, kept for returning from the stats view. */
+  let gameOverRank = -1;
+
+  /**
+   * Meta-progression carried between runs (see loadProgress): spendable
+   * credits, lifetime earnings and the level bought of each UPGRADES entry.
+   * @typedef {{version:number,credits:number,earned:number,upgrades:Object<string, number>}} Progress
+   */
+  const PROGRESS_STORAGE_KEY = 'spaceshooter.progress';
+  /** @type {Progress} */
+  let progress = null;
+  /** Credits the last live run paid out, shown on the game-over screen. */
+  let lastRunCredits = 0;
+
+  /**
+   * Daily challenge results (see loadDaily), newest first, one per UTC day
+   * attempted. The entry is written when the scored attempt starts, so quitting
+   * doesn't buy another try; score and result code are filled in when it ends.
+   * @typedef {{date:string,score:number,timeSec:number,level:number,code:string|null}} DailyResult
+   */
+  const DAILY_STORAGE_KEY = 'spaceshooter.daily';
+  /** @type {{version:number,results:DailyResult[]}} */
+  let daily = null;
 
   /**
-   * 5) Entity Definitions & Collections
-   * Define core entity shapes via JSDoc typedefs for clarity.
+   * The live run, saved when the page is hidden or closed and every
+   * AUTOSAVE_INTERVAL_SEC (see saveRun): { v, savedAt, daily, practice,
+   * replay, snapshot }. The replay so far carries the run setup and keeps the
+   * recording going; the sim snapshot is the game state to resume from.
    */
-  /** @typedef {{x:number,y:number,width:number,height:number,vy:number,shootTimerSec:number}} Enemy */
-  /** @typedef {{x:number,y:number,width:number,height:number,vy:number}} PlayerBullet */
-  /** @typedef {{x:number,y:number,life:number,dx:number,dy:number,color:string}} Particle */
-  /** @typedef {{x:number,y:number,size:number,vy:number,type:'double'}} PowerUp */
-  /** @typedef {{x:number,y:number,width:number,height:number,vx:number,vy:number}} EnemyBullet */
+  const SAVED_RUN_STORAGE_KEY = 'spaceshooter.savedRun';
+  /** Play time until the next autosave. */
+  let autosaveSec = AUTOSAVE_INTERVAL_SEC;
 
-  const player = {
-    x: CANVAS_WIDTH / 2 - 18,
-    y: CANVAS_HEIGHT - 70,
-    width: 36,
-    height: 46,
-    color: '#00e5ff',
-    cooldownSec: 0,
-    invulnerableSec: 0,
+  /**
+   * Built-in benchmark (?stress or ?stress=N), or null. Frame and simulation
+   * times go into preallocated arrays: { enemies, frameMs, simMs, count, peak }.
+   */
+  let stress = null;
+
+  /**
+   * Developer tools (see runDebugCommand): the debug panel, hitbox outlines,
+   * time controls and cheats. A cheat (god mode, a level jump, a spawn) marks
+   * the run `cheated`: it stops recording and earns no high score or credits.
+   * God mode, `startLevel` and `startSpawns` carry over to every new live run.
+   */
+  const debug = {
+    panel: false,
+    hitboxes: false,
+    god: false,
+    startLevel: 0, // ?level=N
+    startSpawns: [], // ?spawn=type@x,y: { type, x, y } placed at the start of each run
+    timeScale: 1, // below 1 is slow motion
+    frozen: false, // single-step mode: the simulation only advances on the step command
+    pendingSteps: 0,
+    enemyType: 'grunt', // spawned at the cursor (ENEMY_TYPES key)
+    powerUpType: 'double', // spawned at the cursor (POWER_UP_TYPES key)
+    cursor: { x: 0, y: 0 }, // last mouse position over the canvas, logical
+    intervalMs: 16.7, // smoothed frame-to-frame time
+    frameMs: 0, // smoothed time spent updating and drawing a frame
+    simMs: 0, // smoothed share of frameMs spent in the simulation
+    refreshSec: 0, // until the panel text is rebuilt
+    seed: null, // ?seed=N: every run uses this seed instead of a fresh one
   };
 
-  /** Collections */
-  /** @type {Enemy[]} */
-  let enemies = [];
-  /** @type {PlayerBullet[]} */
-  let bullets = [];
-  /** @type {Particle[]} */
-  let particles = [];
-  /** @type {PowerUp[]} */
-  let powerUps = [];
-  /** @type {EnemyBullet[]} */
-  let enemyBullets = [];
+  /**
+   * 5) Simulation
+   * The current run. Entities, score, lives and timers live in the game object
+   * created by sim.js; this script only feeds it input and draws its state.
+   */
+  const {
+    createGame, createHitMask, validateLevel, sanitizeTuning, resolveDifficulty, dailySeed, encodeDailyResult, decodeDailyResult,
+    TUNABLES, TUNABLE_RANGES, DIFFICULTY_PRESETS, GAME_MODES, HITBOX_SHAPES, POWER_UP_TYPES, ENEMY_TYPES, BOSS_TYPES,
+  } = window.SpaceShooterSim;
+  /** @type {ReturnType<typeof createGame>|null} */
+  let game = null;
+  /**
+   * Setup of the run in progress: { seed, levels, startStage, startWave, mode,
+   * preset, tuning, players, upgrades, spriteHitboxes }, plus `daily` (the
+   * challenge's date) and `practice` for daily runs.
+   */
+  let currentRun = null;
+  /** Validated stage scripts from levels/ (see loadCampaign); null = endless only. */
+  let campaignLevels = null;
 
   /**
    * 6) Input
-   * Keyboard and pointer input, with touch-friendly behavior.
+   * Keyboard, gamepad and pointer input, with touch-friendly behavior.
+   * Keys and buttons go through the remappable `bindings`.
    */
   const pressedKeys = new Set();
-  let pointerActive = false;
-  let pointerLogicalX = 0;
-  let pointerLogicalY = 0;
-  let shootRequested = false;
-  let doubleShotSec = 0;
+  /**
+   * Touch/mouse drag per player: the pointer holding it (`id`, null when
+   * free) and its logical position. In co-op the side of the screen a drag
+   * starts on picks the ship. `bomb` is a two-finger tap (a second finger
+   * down while one drags) waiting for the next step.
+   */
+  const pointers = [0, 1].map(() => ({ id: null, x: 0, y: 0, bomb: false }));
+  /**
+   * Up to two connected gamepads in connection order: buttons held this frame
+   * and stick deflection after the deadzone (see pollGamepad). `index` is -1
+   * for an empty slot.
+   */
+  const gamepads = [0, 1].map(() => ({ index: -1, buttons: new Set(), moveX: 0, moveY: 0 }));
+
+  /** Ships in the current run (1, or 2 in co-op). */
+  function playerCount() {
+    return currentRun && currentRun.players === 2 ? 2 : 1;
+  }
+
+  /**
+   * Gamepad slot that drives ship `player`, or null. Solo: the first pad.
+   * Co-op: with one pad it is player 2's (player 1 keeps the keyboard);
+   * with two, each player has their own.
+   */
+  function padForPlayer(player) {
+    if (playerCount() === 1) return player === 0 ? gamepads[0] : null;
+    if (gamepads[1].index >= 0) return gamepads[player];
+    return player === 1 ? gamepads[0] : null;
+  }
+
+  /** Run the menu-level command (pause, restart, mute) bound to an input. @returns {boolean} handled */
+  function runCommand(isBound) {
+    if (isBound('pause') && (gameState === 'playing' || gameState === 'paused')) {
+      togglePause();
+      return true;
+    }
+    if (isBound('restart') && (gameState === 'gameover' || gameState === 'title')) {
+      resetGame();
+      return true;
+    }
+    if (isBound('mute')) {
+      toggleMute();
+      return true;
+    }
+    return false;
+  }
+
   window.addEventListener('keydown', (e) => {
     if (e.repeat) return;
+    // Typing into a menu text field (the daily code checker) is not game input
+    if (e.target instanceof HTMLInputElement && e.target.type === 'text') return;
+    if (rebinding) {
+      e.preventDefault();
+      if (rebinding.device === 'keys') finishRebind(e.code);
+      return;
+    }
     // Prevent page scroll on game keys
-    if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','Space'].includes(e.code)) {
+    if (PLAYER_ACTIONS.some((actions) => Object.values(actions).some((action) => bindings[action].keys.includes(e.code)))) {
+      e.preventDefault();
+    }
+    if (!initialsEntry && (e.code === DEBUG_TOGGLE_KEY || (debug.panel && DEBUG_KEYS[e.code]))) {
       e.preventDefault();
+      if (e.code === DEBUG_TOGGLE_KEY) toggleDebugPanel();
+      else runDebugCommand(DEBUG_KEYS[e.code].command, e.shiftKey);
+      return;
     }
     pressedKeys.add(e.code);
 
-    if (gameState === 'gameover' && e.code === 'Enter') {
-      resetGame();
+    if (initialsEntry) {
+      handleInitialsKey(e);
       return;
     }
+
+    runCommand((action) => bindings[action].keys.includes(e.code));
   });
   window.addEventListener('keyup', (e) => {
     pressedKeys.delete(e.code);
@@ -201,25 +490,142 @@
   function onPointerDown(evt) {
     evt.preventDefault();
     if (gameState === 'gameover') {
-      resetGame();
+      if (!initialsEntry) resetGame();
       return;
     }
-    pointerActive = true;
     const p = getPointerPosLogical(evt);
-    pointerLogicalX = p.x;
-    pointerLogicalY = p.y;
-    shootRequested = true; // hold to auto-fire
+    const slot = pointers[playerCount() > 1 && p.x >= GAME_WIDTH / 2 ? 1 : 0];
+    if (slot.id !== null && slot.id !== evt.pointerId) {
+      // That ship already has a finger on it: a second one sets off a bomb
+      slot.bomb = true;
+      return;
+    }
+    slot.id = evt.pointerId; // held: auto-fire
+    slot.x = p.x;
+    slot.y = p.y;
   }
   function onPointerMove(evt) {
-    if (!pointerActive) return;
+    if (debug.panel) Object.assign(debug.cursor, getPointerPosLogical(evt)); // where debug spawns appear
+    const slot = pointers.find((s) => s.id === evt.pointerId);
+    if (!slot) return;
     evt.preventDefault();
     const p = getPointerPosLogical(evt);
-    pointerLogicalX = p.x;
-    pointerLogicalY = p.y;
+    slot.x = p.x;
+    slot.y = p.y;
+  }
+  function onPointerUp(evt) {
+    for (const slot of pointers) {
+      if (slot.id === evt.pointerId) slot.id = null;
+    }
+  }
+
+  /**
+   * Sample up to two connected gamepads once per frame: held buttons, the left
+   * stick with a radial deadzone (rescaled so output starts at 0), and newly
+   * pressed buttons dispatched to onGamepadButton (menus answer to either pad).
+   */
+  function pollGamepad() {
+    const pads = (navigator.getGamepads ? Array.from(navigator.getGamepads()) : []).filter((p) => p && p.connected);
+    gamepads.forEach((gamepad, slot) => {
+      const pad = pads[slot];
+      const previous = gamepad.buttons;
+      gamepad.index = pad ? pad.index : -1;
+      gamepad.buttons = new Set();
+      gamepad.moveX = 0;
+      gamepad.moveY = 0;
+      if (!pad) return;
+      pad.buttons.forEach((button, i) => {
+        if (button.pressed || button.value > TRIGGER_THRESHOLD) gamepad.buttons.add(i);
+      });
+      const [x = 0, y = 0] = pad.axes;
+      const magnitude = Math.hypot(x, y);
+      if (magnitude > STICK_DEADZONE) {
+        const scale = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / magnitude;
+        gamepad.moveX = Math.round(x * scale * 100) / 100;
+        gamepad.moveY = Math.round(y * scale * 100) / 100;
+      }
+      for (const i of gamepad.buttons) {
+        if (!previous.has(i)) onGamepadButton(i);
+      }
+    });
+  }
+
+  /** A gamepad button went down: rebinding, initials entry, or a menu command. */
+  function onGamepadButton(index) {
+    if (rebinding) {
+      if (rebinding.device === 'buttons') finishRebind(index);
+      return;
+    }
+    const isBound = (action) => bindings[action].buttons.includes(index);
+    if (initialsEntry) {
+      // D-pad picks letters like ▲/▼ and the arrow keys; fire or start submits
+      const { cursor } = initialsEntry;
+      if (isBound('up') || isBound('down')) {
+        cycleInitial(cursor, isBound('up') ? 1 : -1);
+      } else if (isBound('left') || isBound('right')) {
+        initialsEntry.cursor = Math.max(0, Math.min(INITIALS_LENGTH - 1, cursor + (isBound('left') ? -1 : 1)));
+        showInitialsEntry();
+      } else if (isBound('fire') || isBound('restart')) {
+        submitInitials();
+      }
+      return;
+    }
+    runCommand(isBound);
+  }
+
+  /** Short rumble on ship `player`'s gamepad where the browser supports it (live play only). */
+  function rumble(strength, durationMs, player = 0) {
+    const gamepad = padForPlayer(player);
+    if (playback || !gamepad || gamepad.index < 0) return;
+    const pad = navigator.getGamepads()[gamepad.index];
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
+    actuator.playEffect('dual-rumble', { duration: durationMs, strongMagnitude: strength, weakMagnitude: strength / 2 })
+      .catch(() => {}); // unsupported effect types reject; rumble is optional
+  }
+
+  /**
+   * Snapshot live devices into the per-step input consumed by game.step():
+   * one Input, or one per ship in co-op.
+   * Pointer and stick values are quantized so a recorded replay reproduces them exactly.
+   */
+  function readLiveInput() {
+    const inputs = [];
+    for (let player = 0; player < playerCount(); player++) {
+      const actions = PLAYER_ACTIONS[player];
+      const gamepad = padForPlayer(player);
+      // Keys come from this player's actions; pad buttons use the shared (player 1) map
+      const held = (action) => (
+        bindings[actions[action]].keys.some((code) => pressedKeys.has(code)) ||
+        Boolean(gamepad && bindings[action].buttons.some((i) => gamepad.buttons.has(i)))
+      );
+      const touch = pointers[player];
+      inputs.push({
+        left: held('left'),
+        right: held('right'),
+        up: held('up'),
+        down: held('down'),
+        moveX: gamepad ? gamepad.moveX : 0,
+        moveY: gamepad ? gamepad.moveY : 0,
+        fire: held('fire'),
+        shoot: touch.id !== null,
+        bomb: held('bomb') || touch.bomb,
+        pointer: touch.id !== null,
+        pointerX: Math.round(touch.x * 10) / 10,
+        pointerY: Math.round(touch.y * 10) / 10,
+      });
+      touch.bomb = false;
+    }
+    return inputs.length > 1 ? inputs : inputs[0];
   }
-  function onPointerUp() {
-    pointerActive = false;
-    shootRequested = false;
+
+  /** Drop all held input so nothing stays "stuck" across a pause or focus loss. */
+  function clearInput() {
+    pressedKeys.clear();
+    for (const slot of pointers) {
+      slot.id = null;
+      slot.bomb = false;
+    }
   }
 
   canvas.addEventListener('pointerdown', onPointerDown, { passive: false });
@@ -229,429 +635,2739 @@
   window.addEventListener('pointerleave', onPointerUp);
 
   /**
-   * 7) Utilities
+   * Replay: recording and playback of per-step input.
+   * A replay is the run setup (seed, level scripts, starting checkpoint) plus
+   * the input of every fixed simulation step, run-length encoded as
+   * `[count, flags, pointerX?, pointerY?, moveX?, moveY?]` tuples; co-op
+   * tuples repeat everything after the count once per player.
+   * Logical size changes are stored as `[step, width, height]` so playback
+   * rescales at the same moment the recording did.
    */
-  function clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
-  }
+  const INPUT_FLAGS = ['left', 'right', 'up', 'down', 'fire', 'shoot', 'pointer', 'analog', 'bomb'];
 
-  function rectsOverlap(a, b) {
-    return (
-      a.x < b.x + b.width &&
-      a.x + a.width > b.x &&
-      a.y < b.y + b.height &&
-      a.y + a.height > b.y
-    );
-  }
+  /** @type {{run:Object,width:number,height:number,stepCount:number,frames:number[][],resizes:number[][]}|null} */
+  let recorder = null;
+  /** @type {{replay:Object,frameIndex:number,frameStep:number,stepCount:number,speed:number,paused:boolean}|null} */
+  let playback = null;
+  /** Last finished run, kept so it can be watched or saved from the game-over screen. */
+  let lastReplay = null;
 
-  /** Spawn a single enemy at a random X along the top. */
-  function spawnEnemy() {
-    const width = 36;
-    const height = 36;
-    const x = Math.random() * (GAME_WIDTH - width);
-    const y = -height - 4;
-    const vy = ENEMY_MIN_SPEED + Math.random() * (ENEMY_MAX_SPEED - ENEMY_MIN_SPEED);
-    const shootTimerSec = randomRange(ENEMY_SHOOT_MIN_SEC, ENEMY_SHOOT_MAX_SEC);
-    enemies.push({ x, y, width, height, vy, shootTimerSec });
-  }
-
-  /** Spawn a double-shot power-up (green orb). */
-  function spawnPowerUp() {
-    const size = 22;
-    const x = Math.random() * (GAME_WIDTH - size);
-    const y = -size - 6;
-    powerUps.push({ x, y, size, vy: POWERUP_SPEED, type: 'double' });
-  }
-
-  /** Emit a particle explosion at (x,y). */
-  function emitExplosion(x, y, color = '#ffd166', count = 12) {
-    for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const speed = 60 + Math.random() * 220;
-      particles.push({
-        x,
-        y,
-        life: 0.6 + Math.random() * 0.6,
-        dx: Math.cos(angle) * speed,
-        dy: Math.sin(angle) * speed,
-        color,
-      });
+  /**
+   * Input (or one per ship) -> [flags, pointerX?, pointerY?, moveX?, moveY?, ...];
+   * the optional pairs follow the pointer / analog bits.
+   */
+  function encodeInput(input) {
+    const encoded = [];
+    for (const one of Array.isArray(input) ? input : [input]) {
+      const flagged = { ...one, analog: Boolean(one.moveX || one.moveY) };
+      let flags = 0;
+      INPUT_FLAGS.forEach((name, bit) => { if (flagged[name]) flags |= 1 << bit; });
+      encoded.push(flags);
+      if (flagged.pointer) encoded.push(one.pointerX, one.pointerY);
+      if (flagged.analog) encoded.push(one.moveX, one.moveY);
     }
+    return encoded;
   }
 
-  /** Fire player bullet(s); honors double-shot power-up. */
-  function shootBullet() {
-    const width = 5;
-    const height = 12;
-    const baseX = player.x + player.width / 2 - width / 2;
-    const y = player.y - height;
-    if (doubleShotSec > 0) {
-      const offset = Math.max(6, Math.min(14, player.width * 0.22));
-      bullets.push({ x: baseX - offset, y, width, height, vy: -BULLET_SPEED });
-      bullets.push({ x: baseX + offset, y, width, height, vy: -BULLET_SPEED });
-    } else {
-      bullets.push({ x: baseX, y, width, height, vy: -BULLET_SPEED });
-    }
-  }
-
-  /** Reset game state to a fresh playing session. */
-  function resetGame() {
-    currentScore = 0;
-    remainingLives = MAX_LIVES;
-    enemies = [];
-    bullets = [];
-    particles = [];
-    powerUps = [];
-    enemyBullets = [];
-    player.x = GAME_WIDTH / 2 - player.width / 2;
-    player.y = GAME_HEIGHT - 70;
-    player.cooldownSec = 0;
-    player.invulnerableSec = 1.0;
-    doubleShotSec = 0;
-    gameState = 'playing';
-    overlayEl.classList.add('hidden');
-    overlayEl.innerHTML = '';
-    enemySpawnTimerSec = randomRange(ENEMY_SPAWN_MIN_SEC, ENEMY_SPAWN_MAX_SEC);
-    powerUpSpawnTimerSec = randomRange(POWERUP_SPAWN_MIN_SEC, POWERUP_SPAWN_MAX_SEC);
-    difficultyElapsedSec = 0;
-    difficultyLevel = 0;
-    enemySpeedMultiplier = 1;
-    updateHud();
+  /** Recorded tuple -> the Input of a solo run, or `players` Inputs. */
+  function decodeInput(tuple, players) {
+    const values = tuple.slice(1);
+    const inputs = [];
+    for (let player = 0; player < players; player++) {
+      const flags = values.shift();
+      const input = {};
+      INPUT_FLAGS.forEach((name, bit) => { input[name] = (flags & (1 << bit)) !== 0; });
+      [input.pointerX, input.pointerY] = input.pointer ? values.splice(0, 2) : [0, 0];
+      [input.moveX, input.moveY] = input.analog ? values.splice(0, 2) : [0, 0];
+      delete input.analog;
+      inputs.push(input);
+    }
+    return players > 1 ? inputs : inputs[0];
   }
 
-  /** Update HUD labels for lives and score. */
-  function updateHud() {
-    livesEl.textContent = `Lives: ${remainingLives}`;
-    scoreEl.textContent = `Score: ${currentScore}`;
+  function startRecording() {
+    recorder = {
+      run: { ...currentRun },
+      width: GAME_WIDTH,
+      height: GAME_HEIGHT,
+      stepCount: 0,
+      frames: [],
+      resizes: [],
+    };
   }
 
-  /** Inclusive-exclusive random float in [min, max). */
-  function randomRange(min, max) {
-    return min + Math.random() * (max - min);
+  /** Append one step of input, extending the previous tuple when unchanged. */
+  function recordStep(input) {
+    const encoded = encodeInput(input);
+    const last = recorder.frames[recorder.frames.length - 1];
+    if (last && last.length === encoded.length + 1 && encoded.every((v, i) => v === last[i + 1])) {
+      last[0] += 1;
+    } else {
+      recorder.frames.push([1, ...encoded]);
+    }
+    recorder.stepCount += 1;
   }
 
-  /**
-   * 9) Game Loop & Update
-   */
-  let lastTimestamp = performance.now();
-  let enemySpawnTimerSec = randomRange(ENEMY_SPAWN_MIN_SEC, ENEMY_SPAWN_MAX_SEC);
-  let powerUpSpawnTimerSec = randomRange(POWERUP_SPAWN_MIN_SEC, POWERUP_SPAWN_MAX_SEC);
-  let difficultyElapsedSec = 0;
-  let difficultyLevel = 0;
-  let enemySpeedMultiplier = 1;
-
-  /** Update game state for the current frame. */
-  function update(dt) {
-    if (gameState !== 'playing') return;
+  /** Build a standalone replay object from the current (or finished) recording. */
+  function buildReplay() {
+    if (!recorder) return null;
+    return {
+      v: REPLAY_VERSION,
+      ...recorder.run,
+      step: FIXED_STEP_SEC,
+      width: recorder.width,
+      height: recorder.height,
+      steps: recorder.stepCount,
+      frames: recorder.frames.map((f) => f.slice()),
+      resizes: recorder.resizes.map((r) => r.slice()),
+    };
+  }
 
-    // Difficulty scaling
-    difficultyElapsedSec += dt;
-    if (difficultyElapsedSec >= DIFFICULTY_INTERVAL_SEC) {
-      difficultyElapsedSec -= DIFFICULTY_INTERVAL_SEC;
-      difficultyLevel += 1;
-      enemySpeedMultiplier = 1 + difficultyLevel * DIFFICULTY_SPEED_STEP;
-    }
-
-    // Power-ups timer decay
-    if (doubleShotSec > 0) doubleShotSec = Math.max(0, doubleShotSec - dt);
-
-    // Movement
-    let moveX = 0;
-    let moveY = 0;
-    if (pressedKeys.has('ArrowLeft') || pressedKeys.has('KeyA')) moveX -= 1;
-    if (pressedKeys.has('ArrowRight') || pressedKeys.has('KeyD')) moveX += 1;
-    if (pressedKeys.has('ArrowUp') || pressedKeys.has('KeyW')) moveY -= 1;
-    if (pressedKeys.has('ArrowDown') || pressedKeys.has('KeyS')) moveY += 1;
-
-    if (pointerActive) {
-      // Direct control under finger
-      player.x = pointerLogicalX - player.width / 2;
-      player.y = pointerLogicalY - player.height / 2;
-    } else {
-      const length = Math.hypot(moveX, moveY) || 1;
-      player.x += (moveX / length) * PLAYER_SPEED * dt;
-      player.y += (moveY / length) * PLAYER_SPEED * dt;
-    }
-
-    player.x = clamp(player.x, 0, GAME_WIDTH - player.width);
-    player.y = clamp(player.y, 0, GAME_HEIGHT - player.height);
-
-    // Shooting
-    player.cooldownSec -= dt;
-    if ((pressedKeys.has('Space') || pressedKeys.has('KeyJ') || shootRequested) && player.cooldownSec <= 0) {
-      shootBullet();
-      player.cooldownSec = SHOOT_COOLDOWN_SEC;
-    }
-
-    // Update bullets
-    for (let i = bullets.length - 1; i >= 0; i--) {
-      const b = bullets[i];
-      b.y += b.vy * dt;
-      if (b.y + b.height < 0) bullets.splice(i, 1);
-    }
-
-    // Spawn enemies
-    enemySpawnTimerSec -= dt;
-    if (enemySpawnTimerSec <= 0) {
-      spawnEnemy();
-      enemySpawnTimerSec = randomRange(ENEMY_SPAWN_MIN_SEC, ENEMY_SPAWN_MAX_SEC);
-    }
-
-    // Spawn power-ups
-    powerUpSpawnTimerSec -= dt;
-    if (powerUpSpawnTimerSec <= 0) {
-      spawnPowerUp();
-      powerUpSpawnTimerSec = randomRange(POWERUP_SPAWN_MIN_SEC, POWERUP_SPAWN_MAX_SEC);
-    }
-
-    // Update enemies
-    for (let i = enemies.length - 1; i >= 0; i--) {
-      const e = enemies[i];
-      e.y += (e.vy * enemySpeedMultiplier) * dt;
-      // Enemy shooting timer
-      e.shootTimerSec -= dt;
-      if (e.shootTimerSec <= 0) {
-        // Shoot towards player's current center
-        const sx = e.x + e.width / 2;
-        const sy = e.y + e.height;
-        const tx = player.x + player.width / 2;
-        const ty = player.y + player.height / 2;
-        const dx = tx - sx;
-        const dy = ty - sy;
-        const len = Math.hypot(dx, dy) || 1;
-        const vx = (dx / len) * ENEMY_BULLET_SPEED;
-        const vy = (dy / len) * ENEMY_BULLET_SPEED;
-        enemyBullets.push({ x: sx - 2, y: sy, width: 4, height: 10, vx, vy });
-        // Reset timer; slightly faster with difficulty
-        const factor = Math.max(0.6, 1 - difficultyLevel * 0.06);
-        e.shootTimerSec = randomRange(ENEMY_SHOOT_MIN_SEC * factor, ENEMY_SHOOT_MAX_SEC * factor);
-      }
-      if (e.y > GAME_HEIGHT) {
-        enemies.splice(i, 1);
-        loseLife();
-      }
+  /** Validate parsed replay JSON; throws with a readable message if unusable. */
+  function validateReplay(data) {
+    if (!data || typeof data !== 'object') throw new Error('Not a replay file');
+    if (data.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.v}`);
+    if (data.step !== FIXED_STEP_SEC) throw new Error('Replay was recorded with a different step rate');
+    if (!Number.isInteger(data.seed) || !Array.isArray(data.frames) || !Array.isArray(data.resizes)) {
+      throw new Error('Replay file is incomplete');
     }
-
-    // Update enemy bullets
-    for (let i = enemyBullets.length - 1; i >= 0; i--) {
-      const b = enemyBullets[i];
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;
-      if (b.y > GAME_HEIGHT + 20 || b.x < -20 || b.x > GAME_WIDTH + 20) {
-        enemyBullets.splice(i, 1);
-        continue;
-      }
-      // Collide with player
-      if (player.invulnerableSec <= 0) {
-        const pr = { x: player.x, y: player.y, width: player.width, height: player.height };
-        if (rectsOverlap(pr, b)) {
-          player.invulnerableSec = INVULNERABILITY_SEC;
-          enemyBullets.splice(i, 1);
-          loseLife();
-        }
+    if (!(data.width > 0 && data.height > 0)) throw new Error('Replay has an invalid size');
+    // No levels (null or left out) is an endless-only recording
+    if (data.levels != null && !Array.isArray(data.levels)) throw new Error('Replay has invalid levels');
+    const levels = data.levels ? data.levels.map((level, i) => {
+      try {
+        return validateLevel(level);
+      } catch (err) {
+        throw new Error(`Replay level ${i + 1}: ${err.message}`);
       }
-    }
+    }) : null;
+    if (levels && !(data.startStage >= 0 && data.startStage < levels.length)) throw new Error('Replay has an invalid start stage');
+    return {
+      ...data,
+      levels,
+      startStage: data.startStage || 0,
+      startWave: data.startWave || 0,
+      preset: typeof data.preset === 'string' ? data.preset : 'normal',
+      tuning: sanitizeTuning(data.tuning),
+      players: data.players === 2 ? 2 : 1,
+      upgrades: sanitizeUpgrades(data.upgrades),
+      spriteHitboxes: data.spriteHitboxes === true,
+      mode: GAME_MODES[data.mode] ? data.mode : 'endless',
+    };
+  }
 
-    // Update power-ups
-    for (let i = powerUps.length - 1; i >= 0; i--) {
-      const p = powerUps[i];
-      p.y += p.vy * dt;
-      if (p.y > GAME_HEIGHT + 40) { powerUps.splice(i, 1); continue; }
-      const pr = { x: player.x, y: player.y, width: player.width, height: player.height };
-      const puRect = { x: p.x, y: p.y, width: p.size, height: p.size };
-      if (rectsOverlap(pr, puRect)) {
-        doubleShotSec = POWERUP_DURATION_SEC;
-        emitExplosion(p.x + p.size / 2, p.y + p.size / 2, '#7dfc7d', 14);
-        powerUps.splice(i, 1);
-      }
-    }
+  /** Restart the simulation from the replay setup and feed its input back step by step. */
+  function startPlayback(replay) {
+    recorder = null;
+    playback = { replay, frameIndex: 0, frameStep: 0, stepCount: 0, speed: 1, paused: false };
+    setLogicalSize(replay.width, replay.height);
+    const { seed, levels, startStage, startWave, mode, preset, tuning, players, upgrades, spriteHitboxes } = replay;
+    beginRun({ seed, levels, startStage, startWave, mode, preset, tuning, players, upgrades, spriteHitboxes });
+    replayHudEl.classList.remove('hidden');
+    updateReplayHud();
+  }
 
-    // Collisions: bullets -> enemies
-    for (let i = enemies.length - 1; i >= 0; i--) {
-      const e = enemies[i];
-      for (let j = bullets.length - 1; j >= 0; j--) {
-        const b = bullets[j];
-        if (rectsOverlap(e, b)) {
-          emitExplosion(e.x + e.width / 2, e.y + e.height / 2, '#ff6b6b');
-          enemies.splice(i, 1);
-          bullets.splice(j, 1);
-          currentScore += 100;
-          updateHud();
-          break;
-        }
-      }
-    }
+  function stopPlayback() {
+    if (!playback) return;
+    playback = null;
+    replayHudEl.classList.add('hidden');
+  }
 
-    // Collisions: player -> enemies
-    if (player.invulnerableSec > 0) {
-      player.invulnerableSec -= dt;
+  /** Next recorded input, or null once the replay is exhausted. */
+  function nextReplayInput() {
+    const { replay } = playback;
+    const tuple = replay.frames[playback.frameIndex];
+    if (!tuple) return null;
+    for (const [step, width, height] of replay.resizes) {
+      if (step === playback.stepCount) setLogicalSize(width, height);
     }
-    if (player.invulnerableSec <= 0) {
-      const pr = { x: player.x, y: player.y, width: player.width, height: player.height };
-      for (let i = enemies.length - 1; i >= 0; i--) {
-        const e = enemies[i];
-        if (rectsOverlap(pr, e)) {
-          emitExplosion(player.x + player.width / 2, player.y + player.height / 2, '#00e5ff', 18);
-          enemies.splice(i, 1);
-          player.invulnerableSec = INVULNERABILITY_SEC;
-          loseLife();
-          break;
-        }
-      }
+    playback.frameStep += 1;
+    if (playback.frameStep >= tuple[0]) {
+      playback.frameIndex += 1;
+      playback.frameStep = 0;
     }
+    playback.stepCount += 1;
+    return decodeInput(tuple, replay.players);
+  }
 
-    // Particles
-    for (let i = particles.length - 1; i >= 0; i--) {
-      const p = particles[i];
-      p.life -= dt;
-      p.x += p.dx * dt;
-      p.y += p.dy * dt;
-      if (p.life <= 0) particles.splice(i, 1);
-    }
+  function toggleReplayPause() {
+    if (!playback) return;
+    playback.paused = !playback.paused;
+    updateReplayHud();
   }
 
-  /** Decrement lives, handle game over, and reposition player. */
-  function loseLife() {
-    remainingLives -= 1;
-    updateHud();
-    if (remainingLives <= 0) {
-      endGame();
-      return;
-    }
-    // Nudge player back to a safe position
-    player.x = GAME_WIDTH / 2 - player.width / 2;
-    player.y = GAME_HEIGHT - 90;
+  function setReplaySpeed(speed) {
+    if (!playback) return;
+    playback.speed = speed;
+    updateReplayHud();
   }
 
-  /**
-   * 10) Rendering
-   * All drawing uses logical coordinates; a transform scales to device pixels.
-   */
-  function draw() {
-    // Ensure transform matches current render scale
-    ctx.setTransform(renderScaleX, 0, 0, renderScaleY, 0, 0);
+  /** Replay reached its last recorded step without the run ending. */
+  function finishPlayback() {
+    gameState = 'gameover';
+    showReplayFinished();
+  }
 
-    // Clear in logical coordinates
-    ctx.clearRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+  function downloadReplay(replay) {
+    if (replay) downloadJson(`spaceshooter-replay-${replay.seed}.json`, replay);
+  }
 
-    // Subtle backdrop vignette
-    const gradient = ctx.createRadialGradient(
-      GAME_WIDTH / 2,
-      GAME_HEIGHT * 0.3,
-      0,
-      GAME_WIDTH / 2,
-      GAME_HEIGHT / 2,
-      GAME_WIDTH * 0.9
+  /** Ask the user for a replay file and start playing it back. */
+  function openReplayFile() {
+    pickJsonFile(
+      (data) => startPlayback(validateReplay(data)),
+      (err) => showMessage('Could not load replay', err.message)
     );
-    gradient.addColorStop(0, 'rgba(0, 229, 255, 0.05)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+  }
 
-    // Draw bullets
-    for (const b of bullets) {
-      ctx.fillStyle = '#f1fa8c';
-      ctx.fillRect(b.x, b.y, b.width, b.height);
+  /**
+   * 7) Utilities
+   */
+  /** Read a JSON value from localStorage; returns `fallback` if missing or unreadable. */
+  function loadJson(key, fallback) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw == null ? fallback : JSON.parse(raw);
+    } catch (_) {
+      return fallback;
     }
+  }
 
-    // Draw enemies
-    for (const e of enemies) {
-      if (enemyImg.complete && enemyImg.naturalWidth > 0) {
-        ctx.drawImage(enemyImg, e.x, e.y, e.width, e.height);
-      } else {
-        ctx.fillStyle = '#ff4757';
-        ctx.fillRect(e.x, e.y, e.width, e.height);
-        ctx.strokeStyle = 'rgba(0,0,0,0.3)';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(e.x + 2, e.y + 2, e.width - 4, e.height - 4);
-      }
+  /** Write a JSON value to localStorage; storage failures (private mode, quota) are ignored. */
+  function saveJson(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (_) {
+      // Non-fatal: preferences simply won't persist
     }
+  }
 
-    // Draw player ship (triangle)
-    const flicker = (player.invulnerableSec > 0) && Math.floor(performance.now() / 100) % 2 === 0;
-    if (!flicker) {
-      drawPlayerShip(player.x, player.y, player.width, player.height, player.color);
+  function loadSettings() {
+    const stored = loadJson(SETTINGS_STORAGE_KEY, null);
+    if (!stored || typeof stored !== 'object') return;
+    for (const key of Object.keys(settings)) {
+      if (typeof stored[key] === typeof settings[key]) settings[key] = stored[key];
     }
+    settings.customTuning = sanitizeTuning(settings.customTuning);
+    if (!(settings.difficulty in DIFFICULTY_PRESETS) && settings.difficulty !== 'custom') settings.difficulty = 'normal';
+  }
 
-    // Particles
-    for (const p of particles) {
-      ctx.globalAlpha = Math.max(0, p.life);
-      ctx.fillStyle = p.color;
-      ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
-      ctx.globalAlpha = 1;
-    }
+  function difficultyLabel(preset) {
+    return preset === 'custom' ? 'Custom' : (DIFFICULTY_PRESETS[preset] || DIFFICULTY_PRESETS.normal).label;
+  }
 
-    // Enemy bullets
-    for (const b of enemyBullets) {
-      ctx.fillStyle = '#ff9f43';
-      ctx.fillRect(b.x, b.y, b.width, b.height);
+  /**
+   * Adjust one tunable. Editing a built-in preset starts Custom from its values;
+   * the other end of a min/max pair follows so the range stays valid.
+   */
+  function setTuning(key, value) {
+    if (settings.difficulty !== 'custom') {
+      settings.customTuning = resolveDifficulty(settings.difficulty);
+      settings.difficulty = 'custom';
+    }
+    const tuning = { ...resolveDifficulty('custom', settings.customTuning), [key]: value };
+    for (const [minKey, maxKey] of TUNABLE_RANGES) {
+      if (key === minKey) tuning[maxKey] = Math.max(tuning[maxKey], value);
+      if (key === maxKey) tuning[minKey] = Math.min(tuning[minKey], value);
     }
+    settings.customTuning = sanitizeTuning(tuning);
+    saveSettings();
+  }
 
-    // Power-ups (draw last to ensure visibility)
-    for (const pu of powerUps) {
-      const cx = pu.x + pu.size / 2;
-      const cy = pu.y + pu.size / 2;
-      const radius = pu.size / 2;
-      const g = ctx.createRadialGradient(cx, cy, 2, cx, cy, radius);
-      g.addColorStop(0, 'rgba(125, 252, 125, 0.95)');
-      g.addColorStop(1, 'rgba(125, 252, 125, 0.1)');
-      ctx.fillStyle = g;
-      ctx.beginPath();
-      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-      ctx.fill();
+  /** Tunable value with as many decimals as its slider step. */
+  function formatTuning(key, value) {
+    const decimals = (String(TUNABLES[key].step).split('.')[1] || '').length;
+    return value.toFixed(decimals);
+  }
 
-      // icon
-      ctx.fillStyle = 'rgba(0,0,0,0.5)';
-      ctx.fillRect(cx - 6, cy - 1, 12, 2);
-      ctx.fillRect(cx - 1, cy - 6, 2, 12);
-    }
+  function saveSettings() {
+    saveJson(SETTINGS_STORAGE_KEY, settings);
   }
 
-  /** Draw the player ship sprite; fall back to a vector if not ready. */
-  function drawPlayerShip(x, y, width, height, color) {
-    if (jetImg.complete && jetImg.naturalWidth > 0) {
-      ctx.drawImage(jetImg, x, y, width, height);
-      return;
+  /**
+   * Load saved controls over the defaults, ignoring malformed entries.
+   * Defaults for actions missing from older saves skip inputs the saved
+   * controls already use.
+   */
+  function loadBindings() {
+    const stored = loadJson(BINDINGS_STORAGE_KEY, null);
+    const defaulted = [];
+    for (const action of Object.keys(DEFAULT_BINDINGS)) {
+      const entry = stored && stored[action];
+      const valid = entry && Array.isArray(entry.keys) && entry.keys.every((k) => typeof k === 'string') &&
+        Array.isArray(entry.buttons) && entry.buttons.every(Number.isInteger);
+      const source = valid ? entry : DEFAULT_BINDINGS[action];
+      bindings[action] = { keys: source.keys.slice(), buttons: source.buttons.slice() };
+      if (stored && !valid) defaulted.push(action);
+    }
+    for (const action of defaulted) {
+      for (const device of ['keys', 'buttons']) {
+        const taken = (input) => Object.keys(bindings).some((other) => (
+          !defaulted.includes(other) && COMPATIBLE_ACTIONS[action] !== other && bindings[other][device].includes(input)
+        ));
+        bindings[action][device] = bindings[action][device].filter((input) => !taken(input));
+      }
     }
-    ctx.save();
-    ctx.translate(x + width / 2, y + height / 2);
-    ctx.beginPath();
-    ctx.moveTo(0, -height / 2);
-    ctx.lineTo(width / 2, height / 2);
-    ctx.lineTo(0, height / 3);
-    ctx.lineTo(-width / 2, height / 2);
-    ctx.closePath();
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.restore();
   }
 
-  /** Switch to game over state and present restart instructions. */
-  function endGame() {
-    gameState = 'gameover';
-    overlayEl.classList.remove('hidden');
-    const isTouch = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
-    const restartHint = isTouch
-      ? 'Tap anywhere to play again'
-      : 'Press <strong>Enter</strong> to play again';
-    overlayEl.innerHTML = `
-      <div>
-        <div style="font-size:28px;font-weight:800;margin-bottom:8px;letter-spacing:0.6px;">Game Over</div>
-        <div style="opacity:0.9;margin-bottom:14px">Final Score: <strong>${currentScore}</strong></div>
-        <div style="font-size:14px;opacity:0.9">${restartHint}</div>
-      </div>
-    `;
+  function saveBindings() {
+    saveJson(BINDINGS_STORAGE_KEY, bindings);
   }
 
-  /** Animation frame callback; drives update/draw at ~60fps. */
-  function frame(timestamp) {
-    // Ensure backing store matches current CSS size/DPR
-    resizeCanvas();
-    const dt = Math.min(0.033, (timestamp - lastTimestamp) / 1000);
-    lastTimestamp = timestamp;
-
-    update(dt);
-    draw();
+  function resetBindings() {
+    saveJson(BINDINGS_STORAGE_KEY, null);
+    loadBindings();
+  }
+
+  /** Bind `input` (key code or button index) as the only one for the action being rebound. */
+  function finishRebind(input) {
+    const { action, device } = rebinding;
+    rebinding = null;
+    for (const other of Object.keys(bindings)) {
+      if (other === action || COMPATIBLE_ACTIONS[action] === other) continue;
+      bindings[other][device] = bindings[other][device].filter((bound) => bound !== input);
+    }
+    bindings[action][device] = [input];
+    saveBindings();
+    renderHelp();
+    showControlsMenu();
+  }
+
+  function keyLabel(code) {
+    return KEY_LABELS[code] || code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+  }
+
+  function buttonLabel(index) {
+    return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+  }
+
+  /** Human-readable keys or buttons bound to `action`, e.g. "Space / J". */
+  function bindingLabel(action, device) {
+    const bound = bindings[action][device];
+    if (bound.length === 0) return '—';
+    return bound.map(device === 'keys' ? keyLabel : buttonLabel).join(' / ');
+  }
+
+  /**
+   * Movement keys of player `player` grouped into sets like "↑←↓→ / WASD"
+   * when every direction has one.
+   */
+  function movementLabel(player = 0) {
+    const directions = ['up', 'left', 'down', 'right'].map((d) => PLAYER_ACTIONS[player][d]);
+    const sets = [];
+    for (let i = 0; directions.every((d) => bindings[d].keys[i]); i++) {
+      sets.push(directions.map((d) => keyLabel(bindings[d].keys[i])).join(''));
+    }
+    if (sets.length > 0) return sets.join(' / ');
+    return directions.map((d) => `${ACTION_LABELS[d]} ${bindingLabel(d, 'keys')}`).join(', ');
+  }
+
+  /** Push the volume and mute settings to the audio engine. */
+  function applyAudioSettings() {
+    const { musicVolume, sfxVolume, muted } = settings;
+    audio.setVolumes({ musicVolume, sfxVolume, muted });
+  }
+
+  function toggleMute() {
+    settings.muted = !settings.muted;
+    saveSettings();
+    applyAudioSettings();
+  }
+
+  /** Offer `data` as a downloadable JSON file. */
+  function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Ask the user for a JSON file. `onLoad` receives the parsed value; parse
+   * errors and anything `onLoad` throws go to `onError`.
+   */
+  function pickJsonFile(onLoad, onError) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      file.text()
+        .then((text) => onLoad(JSON.parse(text)))
+        .catch(onError);
+    });
+    input.click();
+  }
+
+  /** Fetch and parse a JSON file; HTTP errors reject with the URL and status. */
+  function fetchJson(url) {
+    return fetch(url).then((res) => {
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      return res.json();
+    });
+  }
+
+  /**
+   * Preload every image in public/assets.json and validate its sprite sheets.
+   * `onProgress(done, total)` follows the images as they settle. Resolves
+   * (never rejects) to the list of problems: missing files, a missing
+   * manifest, or sheets that don't fit their image.
+   *
+   * Manifest: { images: { key: url }, sheets: { name: { image, frameWidth,
+   * frameHeight, bodyHeight?, animations: { name: { frames, fps, loop? } } } } }.
+   * Frames are numbered left to right, top to bottom. `bodyHeight` is the part
+   * of a frame covered by the entity's rect (e.g. the ship above its flame).
+   */
+  function loadAssets(onProgress) {
+    const problems = [];
+    return fetchJson(ASSET_MANIFEST_URL)
+      .catch((err) => {
+        problems.push(`Asset manifest unavailable (${err.message})`);
+        return { images: {}, sheets: {} };
+      })
+      .then((manifest) => {
+        const entries = Object.entries(manifest.images || {});
+        let done = 0;
+        onProgress(done, entries.length);
+        return Promise.all(entries.map(([key, url]) => new Promise((resolve) => {
+          const img = new Image();
+          img.onload = () => {
+            assets.images[key] = img;
+            resolve();
+          };
+          img.onerror = () => {
+            problems.push(`Missing image "${key}": ${url}`);
+            resolve();
+          };
+          img.src = url;
+        }).then(() => onProgress(++done, entries.length))))
+          .then(() => {
+            for (const [name, sheet] of Object.entries(manifest.sheets || {})) {
+              const error = validateSheet(sheet);
+              if (error) problems.push(`Sprite sheet "${name}": ${error}`);
+              else assets.sheets[name] = { ...sheet, img: assets.images[sheet.image] };
+            }
+            if (problems.length > 0) console.error(`Asset problems:\n${problems.join('\n')}`);
+            return problems;
+          });
+      });
+  }
+
+  /** @returns {string|null} why `sheet` can't be used with its (loaded) image */
+  function validateSheet(sheet) {
+    const img = assets.images[sheet.image];
+    if (!img) return `image "${sheet.image}" is not loaded`;
+    if (!(sheet.frameWidth > 0 && sheet.frameHeight > 0)) return 'frameWidth and frameHeight must be positive';
+    const frameCount = Math.floor(img.naturalWidth / sheet.frameWidth) * Math.floor(img.naturalHeight / sheet.frameHeight);
+    for (const [name, anim] of Object.entries(sheet.animations || {})) {
+      if (!Array.isArray(anim.frames) || anim.frames.length === 0) return `animation "${name}" has no frames`;
+      const bad = anim.frames.find((f) => !Number.isInteger(f) || f < 0 || f >= frameCount);
+      if (bad !== undefined) return `animation "${name}" uses frame ${bad}, but the image holds ${frameCount}`;
+      if (!(anim.fps > 0)) return `animation "${name}" needs a positive fps`;
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and validate the stage scripts listed in levels/index.json.
+   * Resolves to null (endless mode) if anything is missing or invalid.
+   */
+  function loadCampaign() {
+    return fetchJson(LEVELS_INDEX_URL)
+      .then((index) => Promise.all(index.levels.map((file) => fetchJson(`levels/${file}`).then((data) => {
+        try {
+          return validateLevel(data);
+        } catch (err) {
+          throw new Error(`levels/${file}: ${err.message}`);
+        }
+      }))))
+      .catch((err) => {
+        console.warn('Level scripts unavailable, playing endless mode:', err.message);
+        return null;
+      });
+  }
+
+  /**
+   * Register the offline service worker (sw.js). When a new version has
+   * installed and is waiting, offer a reload; the page reloads once the new
+   * worker has taken over. The first install never prompts.
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    let accepted = false; // the player clicked Reload
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!accepted || reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then((registration) => {
+      const offerUpdate = (worker) => {
+        if (!navigator.serviceWorker.controller) return;
+        updatePromptEl.classList.remove('hidden');
+        updatePromptEl.querySelector('button').onclick = () => {
+          accepted = true;
+          worker.postMessage({ type: 'skipWaiting' });
+        };
+      };
+      if (registration.waiting) offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed') offerUpdate(worker);
+        });
+      });
+      // Long sessions: look for a new deploy whenever the tab comes back
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) registration.update().catch(() => {});
+      });
+    }).catch((err) => console.warn('Service worker unavailable, no offline play:', err.message));
+  }
+
+  /** Format seconds as m:ss. */
+  function formatTime(sec) {
+    const total = Math.floor(sec);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /** "3 Grunt, 1 Gunship" from { type: count } (zero counts left out), or "none". */
+  function formatCounts(counts, label) {
+    const parts = Object.entries(counts).filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1]).map(([type, n]) => `${n} ${label(type)}`);
+    return parts.length > 0 ? parts.join(', ') : 'none';
+  }
+
+  /**
+   * Readable summary of the finished run: `rows` of [label, value] for the
+   * stats screen and the same lines as plain `text` for sharing.
+   */
+  function buildRunSummary() {
+    const { stats, score, timeSec, difficultyLevel, players } = game.getState();
+    const accuracy = stats.shotsFired > 0 ? Math.round((stats.shotsHit / stats.shotsFired) * 100) : 0;
+    const absorbed = stats.damage.filter((d) => d.absorbed).length;
+    const rows = [
+      ['Score', `${score} (${difficultyLabel(currentRun.preset)}${players.length > 1 ? `, co-op ${players.map((p) => `P${p.index + 1} ${p.score}`).join(' / ')}` : ''})`],
+      ['Time survived', formatTime(timeSec)],
+      ['Level reached', String(difficultyLevel + 1)],
+      ['Shots', `${stats.shotsFired} fired, ${stats.shotsHit} hit (${accuracy}% accuracy)`],
+      ['Kills', formatCounts(stats.kills, (type) => type.charAt(0).toUpperCase() + type.slice(1))],
+      ['Bosses', formatCounts(stats.bosses, (type) => BOSS_TYPES[type].name)],
+      ['Power-ups', formatCounts(stats.powerUps, (type) => POWER_UP_TYPES[type].label)],
+      ['Lives lost', formatCounts(stats.livesLost, (cause) => LIFE_LOSS_LABELS[cause])],
+      ['Shield saves', String(absorbed)],
+      ['Grazes', `${stats.grazes} · best combo ×${stats.bestMultiplier}`],
+      ['Bombs', `${stats.bombs} set off, ${stats.bombBullets} bullets cleared`],
+    ];
+    const text = [
+      'Space Shooter run',
+      ...rows.map(([label, value]) => `${label}: ${value}`),
+      `Score over time: ${scoreTimeline().map(([t, value]) => `${formatTime(t)} ${value}`).join(', ')}`,
+    ].join('\n');
+    return { rows, text };
+  }
+
+  /** [timeSec, score] points of the run: the periodic samples, then the final score. */
+  function scoreTimeline() {
+    const { stats, timeSec, score } = game.getState();
+    const { statsSampleSec } = game.config;
+    const points = stats.scoreSamples.map((value, i) => [i * statsSampleSec, value]);
+    if (timeSec > points[points.length - 1][0]) points.push([timeSec, score]);
+    return points;
+  }
+
+  /** Put `text` on the clipboard. @returns {Promise<boolean>} whether it worked */
+  function copyText(text) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) return Promise.resolve(false);
+    return navigator.clipboard.writeText(text).then(() => true, () => false);
+  }
+
+  /** Coerce an untrusted object into a HighScore, or null if it can't be one. */
+  function sanitizeHighScore(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const score = Math.floor(Number(raw.score));
+    const initials = String(raw.initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH);
+    const date = new Date(raw.date);
+    if (!(score > 0) || !initials || Number.isNaN(date.getTime())) return null;
+    return {
+      score,
+      initials,
+      date: date.toISOString(),
+      timeSec: Math.max(0, Number(raw.timeSec) || 0),
+      level: Math.max(0, Math.floor(Number(raw.level) || 0)),
+      preset: typeof raw.preset === 'string' ? raw.preset : 'normal', // entries predating presets were Normal
+      mode: GAME_MODES[raw.mode] ? raw.mode : 'endless', // entries predating modes were Endless
+    };
+  }
+
+  /** Best first; ties go to the earlier run. Each mode keeps its own top HIGHSCORE_LIMIT. */
+  function sortHighScores(list) {
+    const kept = {};
+    return list
+      .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+      .filter((e) => (kept[e.mode] = (kept[e.mode] || 0) + 1) <= HIGHSCORE_LIMIT);
+  }
+
+  /** @returns {HighScore[]} every mode's table, or only `mode`'s when given */
+  function loadHighScores(mode) {
+    const stored = loadJson(HIGHSCORES_STORAGE_KEY, []);
+    if (!Array.isArray(stored)) return [];
+    const list = sortHighScores(stored.map(sanitizeHighScore).filter(Boolean));
+    return mode ? list.filter((e) => e.mode === mode) : list;
+  }
+
+  function qualifiesForHighScore(score, mode) {
+    const list = loadHighScores(mode);
+    return score > 0 && (list.length < HIGHSCORE_LIMIT || score > list[list.length - 1].score);
+  }
+
+  /** Insert an entry and persist the table. Returns its rank in its mode (0-based), or -1 if it didn't make the cut. */
+  function addHighScore(entry) {
+    const list = loadHighScores();
+    list.push(entry);
+    const sorted = sortHighScores(list);
+    saveJson(HIGHSCORES_STORAGE_KEY, sorted);
+    return sorted.filter((e) => e.mode === entry.mode).indexOf(entry);
+  }
+
+  /** Best score in `mode`'s table, 0 when empty. */
+  function bestScore(mode) {
+    const best = loadHighScores(mode)[0];
+    return best ? best.score : 0;
+  }
+
+  function exportHighScores() {
+    downloadJson('spaceshooter-highscores.json', { v: 1, scores: loadHighScores() });
+  }
+
+  /** Merge scores from an exported file into the local table (duplicates are skipped). */
+  function importHighScores(data) {
+    const incoming = Array.isArray(data) ? data : data && data.scores;
+    if (!Array.isArray(incoming)) throw new Error('Not a high-score file');
+    const entries = incoming.map(sanitizeHighScore).filter(Boolean);
+    if (entries.length === 0) throw new Error('No valid scores in file');
+    const list = loadHighScores();
+    const keyOf = (e) => `${e.score}|${e.initials}|${e.date}`;
+    const seen = new Set(list.map(keyOf));
+    for (const entry of entries) {
+      if (!seen.has(keyOf(entry))) {
+        seen.add(keyOf(entry));
+        list.push(entry);
+      }
+    }
+    saveJson(HIGHSCORES_STORAGE_KEY, sortHighScores(list));
+  }
+
+  function defaultProgress() {
+    return { version: PROGRESS_VERSION, credits: 0, earned: 0, upgrades: {} };
+  }
+
+  /** Upgrade levels limited to known upgrades and their number of levels. */
+  function sanitizeUpgrades(raw) {
+    const upgrades = {};
+    if (!raw || typeof raw !== 'object') return upgrades;
+    for (const [id, def] of Object.entries(UPGRADES)) {
+      const level = Math.floor(Number(raw[id]));
+      if (level > 0) upgrades[id] = Math.min(level, def.costs.length);
+    }
+    return upgrades;
+  }
+
+  /**
+   * Bring a stored progress object up to PROGRESS_VERSION, or null when it
+   * can't be read (unknown or newer version). Add a step here for each bump.
+   */
+  function migrateProgress(raw) {
+    if (!raw || typeof raw !== 'object' || raw.version !== PROGRESS_VERSION) return null;
+    return {
+      version: PROGRESS_VERSION,
+      credits: Math.max(0, Math.floor(Number(raw.credits) || 0)),
+      earned: Math.max(0, Math.floor(Number(raw.earned) || 0)),
+      upgrades: sanitizeUpgrades(raw.upgrades),
+    };
+  }
+
+  function loadProgress() {
+    const stored = loadJson(PROGRESS_STORAGE_KEY, null);
+    progress = migrateProgress(stored);
+    if (!progress) {
+      if (stored) console.warn('Saved progress has an unsupported format; starting over');
+      progress = defaultProgress();
+    }
+  }
+
+  function saveProgress() {
+    saveJson(PROGRESS_STORAGE_KEY, progress);
+  }
+
+  function resetProgress() {
+    progress = defaultProgress();
+    saveProgress();
+  }
+
+  /** Today's daily challenge date, 'YYYY-MM-DD' in UTC so everyone shares the same day. */
+  function todayUtc() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function loadDaily() {
+    const stored = loadJson(DAILY_STORAGE_KEY, null);
+    const valid = stored && stored.version === DAILY_VERSION && Array.isArray(stored.results);
+    if (stored && !valid) console.warn('Saved daily results have an unsupported format; starting over');
+    const results = valid ? stored.results.filter((r) => r && /^\d{4}-\d{2}-\d{2}$/.test(r.date)).map((r) => ({
+      date: r.date,
+      score: Math.max(0, Math.floor(Number(r.score) || 0)),
+      timeSec: Math.max(0, Number(r.timeSec) || 0),
+      level: Math.max(0, Math.floor(Number(r.level) || 0)),
+      code: typeof r.code === 'string' ? r.code : null,
+    })) : [];
+    daily = { version: DAILY_VERSION, results: results.slice(0, DAILY_HISTORY_DAYS) };
+  }
+
+  function saveDaily() {
+    saveJson(DAILY_STORAGE_KEY, daily);
+  }
+
+  function dailyResult(date) {
+    return daily.results.find((r) => r.date === date) || null;
+  }
+
+  /** Consecutive days attempted up to today (or up to yesterday while today is still open). */
+  function dailyStreak(today) {
+    const dayMs = 86400000;
+    let day = Date.parse(today);
+    if (!dailyResult(today)) day -= dayMs;
+    let streak = 0;
+    while (dailyResult(new Date(day).toISOString().slice(0, 10))) {
+      streak++;
+      day -= dayMs;
+    }
+    return streak;
+  }
+
+  /**
+   * Start today's challenge: the date's seed with a fixed setup, so every
+   * player gets the same run. The scored attempt is spent as it starts.
+   */
+  function startDailyRun(practice) {
+    const date = todayUtc();
+    if (!practice) {
+      if (dailyResult(date)) return;
+      daily.results.unshift({ date, score: 0, timeSec: 0, level: 0, code: null });
+      daily.results.length = Math.min(daily.results.length, DAILY_HISTORY_DAYS);
+      saveDaily();
+    }
+    resetGame({
+      seed: dailySeed(date),
+      mode: 'endless',
+      preset: DAILY_PRESET,
+      tuning: resolveDifficulty(DAILY_PRESET),
+      players: 1,
+      upgrades: {},
+      spriteHitboxes: false,
+      daily: date,
+      practice,
+    });
+  }
+
+  /** Record the scored daily attempt's result once, when it ends or is abandoned. Cheated runs keep no code. */
+  function settleDailyRun() {
+    if (!currentRun || !currentRun.daily || currentRun.practice || currentRun.settled) return;
+    currentRun.settled = true;
+    const entry = dailyResult(currentRun.daily);
+    if (!entry || currentRun.cheated) return;
+    const { score, timeSec, difficultyLevel } = game.getState();
+    Object.assign(entry, { score, timeSec, level: difficultyLevel, code: encodeDailyResult(currentRun.daily, score) });
+    saveDaily();
+  }
+
+  /**
+   * Save the live run for resuming after a reload. Only recorded runs are
+   * saved, which leaves out replays, stress tests and cheated runs.
+   */
+  function saveRun() {
+    autosaveSec = AUTOSAVE_INTERVAL_SEC;
+    if (!recorder || (gameState !== 'playing' && gameState !== 'paused')) return;
+    saveJson(SAVED_RUN_STORAGE_KEY, {
+      v: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      daily: currentRun.daily || null,
+      practice: Boolean(currentRun.practice),
+      replay: buildReplay(),
+      snapshot: game.saveSnapshot(),
+    });
+  }
+
+  function clearSavedRun() {
+    saveJson(SAVED_RUN_STORAGE_KEY, null);
+  }
+
+  /** The saved run with its replay validated, or null. Unusable saves are dropped with a warning. */
+  function loadSavedRun() {
+    const saved = loadJson(SAVED_RUN_STORAGE_KEY, null);
+    if (!saved) return null;
+    try {
+      if (saved.v !== SAVE_VERSION) throw new Error(`unsupported version ${saved.v}`);
+      if (!saved.snapshot || typeof saved.snapshot !== 'object') throw new Error('no game state');
+      if (typeof saved.savedAt !== 'string' || Number.isNaN(Date.parse(saved.savedAt))) throw new Error('no save time');
+      return {
+        ...saved,
+        daily: /^\d{4}-\d{2}-\d{2}$/.test(saved.daily) ? saved.daily : null,
+        replay: validateReplay(saved.replay),
+      };
+    } catch (err) {
+      console.warn(`Saved run discarded: ${err.message}`);
+      clearSavedRun();
+      return null;
+    }
+  }
+
+  /** Price of the next level of upgrade `id`, or null when it is maxed out. */
+  function upgradeCost(id) {
+    const level = progress.upgrades[id] || 0;
+    const cost = UPGRADES[id].costs[level];
+    return cost === undefined ? null : cost;
+  }
+
+  /** Spend credits on the next level of upgrade `id`. @returns {boolean} bought */
+  function buyUpgrade(id) {
+    const cost = upgradeCost(id);
+    if (cost === null || cost > progress.credits) return false;
+    progress.credits -= cost;
+    progress.upgrades[id] = (progress.upgrades[id] || 0) + 1;
+    saveProgress();
+    return true;
+  }
+
+  /** Pay out credits for a finished live run. @returns {number} credits earned */
+  function awardCredits(score) {
+    const credits = Math.floor(score * CREDITS_PER_POINT);
+    progress.credits += credits;
+    progress.earned += credits;
+    saveProgress();
+    return credits;
+  }
+
+  /** `config` with every bought upgrade applied (a copy). */
+  function applyUpgrades(config, upgrades) {
+    const upgraded = { ...config };
+    for (const [id, level] of Object.entries(upgrades || {})) UPGRADES[id].apply(upgraded, level);
+    return upgraded;
+  }
+
+  /**
+   * Start a fresh live session with a new seed and record it, in the mode last
+   * picked on the title screen. Runs play the campaign when levels loaded;
+   * `options` can start from a checkpoint.
+   */
+  function resetGame(options = {}) {
+    stopPlayback();
+    stress = null;
+    clearSavedRun();
+    const mode = GAME_MODES[settings.mode] ? settings.mode : 'endless';
+    const preset = GAME_MODES[mode].preset || settings.difficulty;
+    beginRun({
+      seed: debug.seed !== null ? debug.seed : newSeed(),
+      levels: campaignLevels,
+      startStage: 0,
+      startWave: 0,
+      mode,
+      preset,
+      tuning: resolveDifficulty(preset, settings.customTuning),
+      players: settings.coop ? 2 : 1,
+      upgrades: { ...progress.upgrades },
+      spriteHitboxes: settings.spriteHitboxes,
+      ...options,
+    });
+    startRecording();
+    applyDebugCheats();
+  }
+
+  /** Fresh 32-bit seed for a new run. */
+  function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Pick up a saved run (see loadSavedRun) where it was left, paused, with its
+   * recording carried on. Returns false, starting nothing, if the sim rejects it.
+   */
+  function resumeSavedRun(saved) {
+    const { replay } = saved;
+    const { seed, levels, startStage, startWave, mode, preset, tuning, players, upgrades, spriteHitboxes } = replay;
+    const previous = game;
+    beginRun({
+      seed, levels, startStage, startWave, mode, preset, tuning, players, upgrades, spriteHitboxes,
+      ...(saved.daily ? { daily: saved.daily, practice: saved.practice === true } : {}),
+    });
+    try {
+      game.loadSnapshot(saved.snapshot);
+    } catch (err) {
+      console.warn(`Saved run discarded: ${err.message}`);
+      clearSavedRun();
+      currentRun = null;
+      game = previous;
+      return false;
+    }
+    recorder = {
+      run: { ...currentRun },
+      width: replay.width,
+      height: replay.height,
+      stepCount: replay.steps,
+      frames: replay.frames,
+      resizes: replay.resizes,
+    };
+    // The save may come from the other orientation
+    const { width, height } = game.getState();
+    if (width !== GAME_WIDTH || height !== GAME_HEIGHT) {
+      game.resize(GAME_WIDTH, GAME_HEIGHT);
+      recorder.resizes.push([recorder.stepCount, GAME_WIDTH, GAME_HEIGHT]);
+    }
+    updateHud();
+    audio.setIntensity(game.getState().difficultyLevel);
+    pauseGame();
+    return true;
+  }
+
+  /** Replace the current game with a fresh one set up by `runConfig` (see currentRun). */
+  function beginRun(runConfig) {
+    settleDailyRun();
+    currentRun = runConfig;
+    const { mode = 'endless', preset, tuning, upgrades, spriteHitboxes, daily: date, practice, ...setup } = runConfig;
+    const hitboxes = spriteHitboxes ? spriteMaskHitboxes() : null;
+    const config = applyUpgrades({ ...tuning, ...setup, hitboxes, width: GAME_WIDTH, height: GAME_HEIGHT }, upgrades);
+    game = createGame({ ...config, ...GAME_MODES[mode].config });
+    accumulatorSec = 0;
+    effects.length = 0; // timed on the old run's clock
+    popups.length = 0;
+    hideBanner();
+    gameState = 'playing';
+    hideOverlay();
+    updateHud();
+    audio.setIntensity(game.getState().difficultyLevel); // Hardcore starts high
+    audio.startMusic();
+  }
+
+  /** GAME_MODES key of the run on screen (stress runs count as Endless). */
+  function runMode() {
+    return (currentRun && currentRun.mode) || 'endless';
+  }
+
+  /** Update HUD labels for lives, bombs and score (plus each player's in co-op). */
+  function updateHud() {
+    const { lives, score, players } = game.getState();
+    livesEl.textContent = `Lives: ${Number.isFinite(lives) ? lives : '∞'}`;
+    // Bomb stock as filled / empty slots, one row per ship in its color in co-op; gunless modes have none
+    bombsEl.classList.toggle('hidden', !game.config.canShoot);
+    bombsEl.replaceChildren(...players.map((p) => {
+      const el = document.createElement('span');
+      if (players.length > 1) el.style.setProperty('--player-color', p.color);
+      const label = players.length > 1 ? `P${p.index + 1}` : 'Bombs';
+      el.textContent = `${label} ${'●'.repeat(p.bombs)}${'○'.repeat(Math.max(0, game.config.maxBombs - p.bombs))}`;
+      return el;
+    }));
+    scoreEl.textContent = `Score: ${score}`;
+    playerScoresEl.classList.toggle('hidden', players.length < 2);
+    if (players.length > 1) {
+      playerScoresEl.replaceChildren(...players.map((p) => {
+        const el = document.createElement('span');
+        el.style.setProperty('--player-color', p.color);
+        el.textContent = `P${p.index + 1} ${p.score}`;
+        return el;
+      }));
+    }
+    bestEl.textContent = `Best: ${bestScore(runMode())}`;
+    if (pauseBtn) pauseBtn.disabled = gameState !== 'playing' && gameState !== 'paused';
+  }
+
+  /** Freeze the simulation and open the pause menu. No-op unless playing. */
+  function pauseGame() {
+    if (playback) {
+      if (!playback.paused) toggleReplayPause();
+      return;
+    }
+    if (gameState !== 'playing') return;
+    gameState = 'paused';
+    clearInput();
+    audio.stopMusic();
+    showPauseMenu();
+  }
+
+  /** Leave the pause menu and continue the run where it stopped. */
+  function resumeGame() {
+    if (gameState !== 'paused') return;
+    gameState = 'playing';
+    hideOverlay();
+    audio.startMusic();
+  }
+
+  function togglePause() {
+    if (playback) toggleReplayPause();
+    else if (gameState === 'playing') pauseGame();
+    else if (gameState === 'paused') resumeGame();
+  }
+
+  /**
+   * 9) Game Loop & Update
+   */
+  let lastTimestamp = performance.now();
+  let accumulatorSec = 0; // real time not yet consumed by fixed steps
+
+  /** Advance the simulation by one fixed step of input and react to its events. */
+  function update(dt, input) {
+    if (gameState !== 'playing') return;
+    const events = game.step(dt, input);
+    for (const evt of events) {
+      if (EVENT_SFX[evt.type]) audio.play(EVENT_SFX[evt.type]);
+      switch (evt.type) {
+        case 'enemyKilled': {
+          const def = ENEMY_TYPES[evt.enemyType];
+          updateHud();
+          spawnEffect('explosion', 'burst', evt.x, evt.y, Math.max(def.width, def.height) * 1.6);
+          spawnPopup(`+${evt.points}`, evt.x, evt.y, evt.points > def.score ? COMBO_POPUP_COLOR : '#ffffff', 14);
+          if (def.hp > 1) addTrauma(EVENT_TRAUMA.heavyKill);
+          break;
+        }
+        case 'lifeGained':
+          updateHud();
+          break;
+        case 'lifeLost':
+          updateHud();
+          if (evt.cause !== 'escape') {
+            rumble(1, 300, evt.player);
+            addTrauma(EVENT_TRAUMA.playerHit);
+          }
+          break;
+        case 'graze':
+          updateHud();
+          spawnPopup(`+${evt.points}`, evt.x, evt.y, '#9be7ff', 10);
+          break;
+        case 'comboUp': {
+          const { x, y, width } = game.getState().players[evt.player];
+          spawnPopup(`×${evt.multiplier} COMBO`, x + width / 2, y - 10, COMBO_POPUP_COLOR, 16);
+          break;
+        }
+        case 'playerDown':
+          showBanner(`P${evt.player + 1} down`, `Back in ${game.config.respawnSec}s`);
+          break;
+        case 'shieldAbsorbed':
+          rumble(0.5, 150, evt.player);
+          addTrauma(EVENT_TRAUMA.shieldAbsorbed);
+          break;
+        case 'bomb':
+          updateHud();
+          rumble(0.8, 250, evt.player);
+          addTrauma(EVENT_TRAUMA.bomb);
+          break;
+        case 'bombGained': {
+          const { x, y, width } = game.getState().players[evt.player];
+          updateHud();
+          spawnPopup('+BOMB', x + width / 2, y - 10, POWER_UP_TYPES.bomb.color, 14);
+          break;
+        }
+        case 'shockwaveEnd':
+          updateHud();
+          if (evt.points > 0) spawnPopup(`+${evt.points}`, evt.x, evt.y - 30, POWER_UP_TYPES.bomb.color, 18);
+          break;
+        case 'gameOver':
+          endGame();
+          break;
+        case 'difficultyUp':
+          audio.setIntensity(evt.level);
+          break;
+        case 'stageStart':
+          showBanner(`Stage ${evt.stage + 1}`, evt.name);
+          break;
+        case 'waveStart':
+          showBanner(`Wave ${evt.wave + 1}`, evt.name || `of ${evt.waveCount}`);
+          break;
+        case 'stageClear':
+          showStageClear(evt);
+          break;
+        case 'endless':
+          showBanner('Endless Mode', 'Survive as long as you can');
+          break;
+        case 'bossSpawn':
+          showBanner('Warning', `${evt.name} approaching`, 'boss');
+          break;
+        case 'bossDefeated': {
+          const def = BOSS_TYPES[evt.bossType];
+          updateHud();
+          addTrauma(EVENT_TRAUMA.bossDefeated);
+          spawnEffect('explosion', 'burst', evt.x, evt.y, Math.max(def.width, def.height) * 1.5);
+          for (let i = 0; i < 4; i++) {
+            spawnEffect('explosion', 'burst', evt.x + (Math.random() - 0.5) * def.width, evt.y + (Math.random() - 0.5) * def.height, def.height * 0.8, 0.12 * (i + 1));
+          }
+          spawnPopup(`+${evt.points}`, evt.x, evt.y, evt.points > def.score ? COMBO_POPUP_COLOR : '#ffffff', 22);
+          showBanner(`${def.name} destroyed`, `+${evt.points}`, 'boss');
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Stress mode: an unrecorded endless run that keeps `enemies` enemies on
+   * screen, all firing often, while the ship auto-fires and never runs out of
+   * lives. After STRESS_SAMPLE_FRAMES frames the timings are reported.
+   */
+  function startStressRun(enemies) {
+    stopPlayback();
+    recorder = null;
+    stress = {
+      enemies,
+      frameMs: new Float64Array(STRESS_SAMPLE_FRAMES),
+      simMs: new Float64Array(STRESS_SAMPLE_FRAMES),
+      count: 0,
+      peak: { enemies: 0, enemyBullets: 0, bullets: 0, particles: 0 },
+    };
+    beginRun({
+      seed: 1,
+      levels: null,
+      startStage: 0,
+      startWave: 0,
+      preset: 'normal',
+      tuning: { ...resolveDifficulty('normal'), shootCooldownSec: 0.05, enemyShootMinSec: 0.5, enemyShootMaxSec: 1.5 },
+      bosses: false,
+      maxLives: Infinity,
+    });
+  }
+
+  /** Top up the stress run's enemies to their target count (called before each step). */
+  function fillStressRun() {
+    const { enemies } = game.getState();
+    while (enemies.length < stress.enemies) game.spawnEnemy();
+  }
+
+  /** Store one frame's timings and entity peaks; reports once the sample is full. */
+  function recordStressFrame(frameMs, simMs) {
+    const state = game.getState();
+    for (const key of Object.keys(stress.peak)) stress.peak[key] = Math.max(stress.peak[key], state[key].length);
+    stress.frameMs[stress.count] = frameMs;
+    stress.simMs[stress.count] = simMs;
+    stress.count += 1;
+    if (stress.count === STRESS_SAMPLE_FRAMES) finishStressRun();
+  }
+
+  /** Nearest-rank percentile `p` (0..1) of an ascending typed array. */
+  function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+  }
+
+  function finishStressRun() {
+    gameState = 'gameover';
+    audio.stopMusic();
+    updateHud();
+    const rows = [['Frame', stress.frameMs], ['Simulation', stress.simMs]].map(([label, samples]) => {
+      const sorted = samples.slice().sort();
+      return { label, p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9), p99: percentile(sorted, 0.99), max: sorted[sorted.length - 1] };
+    });
+    showStressResults(rows);
+  }
+
+  /**
+   * Debug switches from the page URL, for repeatable manual QA:
+   * ?debug (panel), ?hitboxes, ?god, ?level=N, ?slowmo[=scale], ?step (start
+   * frozen), ?seed=N (fixed run seed) and ?spawn=type[@x,y] (repeatable; an
+   * enemy or power-up type, also the cursor's spawn type from then on).
+   */
+  function applyDebugParams(params) {
+    debug.panel = params.has('debug');
+    debug.hitboxes = params.has('hitboxes');
+    debug.god = params.has('god');
+    debug.startLevel = Math.max(0, Math.floor(Number(params.get('level'))) || 0);
+    if (params.has('slowmo')) {
+      const scale = Number(params.get('slowmo'));
+      debug.timeScale = scale > 0 && scale <= 1 ? scale : DEBUG_SLOW_MOTION;
+    }
+    debug.frozen = params.has('step');
+    const seed = Number(params.get('seed'));
+    if (params.get('seed') && Number.isInteger(seed) && seed >= 0) debug.seed = seed;
+    debug.startSpawns = params.getAll('spawn').map((value) => {
+      const [type, at] = value.split('@');
+      const [x, y] = at ? at.split(',').map(Number) : [];
+      if (ENEMY_TYPES[type]) debug.enemyType = type;
+      else if (POWER_UP_TYPES[type]) debug.powerUpType = type;
+      else {
+        console.warn(`Unknown debug spawn type: ${type}`);
+        return null;
+      }
+      return { type, x: Number.isFinite(x) ? x : null, y: Number.isFinite(y) ? y : null };
+    }).filter(Boolean);
+    debugPanelEl.classList.toggle('hidden', !debug.panel);
+  }
+
+  /** Apply the standing cheats (god mode, start level, spawns) to a new live run. */
+  function applyDebugCheats() {
+    if (debug.god) {
+      game.setGodMode(true);
+      markCheated();
+    }
+    if (debug.startLevel > 0) {
+      game.setDifficultyLevel(debug.startLevel);
+      markCheated();
+    }
+    for (const { type, x, y } of debug.startSpawns) {
+      // Without a position: centered, enemies near the top and power-ups mid-field
+      spawnAt(type, x !== null ? x : GAME_WIDTH / 2, y !== null ? y : (ENEMY_TYPES[type] ? 80 : GAME_HEIGHT / 2));
+    }
+  }
+
+  /** Flag the live run as cheated: no replay, high score or credits come of it. */
+  function markCheated() {
+    if (currentRun.cheated) return;
+    currentRun.cheated = true;
+    recorder = null;
+  }
+
+  /** Cheats only touch a live run in progress; replays must stay faithful. */
+  function canCheat() {
+    return !playback && (gameState === 'playing' || gameState === 'paused');
+  }
+
+  /** Spawn an enemy or power-up of `type` centered on (x, y). */
+  function spawnAt(type, x, y) {
+    if (ENEMY_TYPES[type]) {
+      const { width, height } = ENEMY_TYPES[type];
+      game.spawnEnemy(type, x - width / 2, y - height / 2);
+    } else {
+      game.spawnPowerUp(type, x, y);
+    }
+    markCheated();
+  }
+
+  /** Key after `current` in `registry`, wrapping around. */
+  function nextType(registry, current) {
+    const types = Object.keys(registry);
+    return types[(types.indexOf(current) + 1) % types.length];
+  }
+
+  const debugCommands = {
+    god: () => {
+      if (!canCheat()) return;
+      debug.god = !debug.god;
+      game.setGodMode(debug.god);
+      if (debug.god) markCheated();
+    },
+    hitboxes: () => { debug.hitboxes = !debug.hitboxes; },
+    levelUp: () => {
+      if (!canCheat()) return;
+      game.setDifficultyLevel(game.getState().difficultyLevel + 1);
+      markCheated();
+    },
+    spawnEnemy: (cycle) => {
+      if (cycle) debug.enemyType = nextType(ENEMY_TYPES, debug.enemyType);
+      else if (canCheat()) spawnAt(debug.enemyType, debug.cursor.x, debug.cursor.y);
+    },
+    spawnPowerUp: (cycle) => {
+      if (cycle) debug.powerUpType = nextType(POWER_UP_TYPES, debug.powerUpType);
+      else if (canCheat()) spawnAt(debug.powerUpType, debug.cursor.x, debug.cursor.y);
+    },
+    slowMotion: () => { debug.timeScale = debug.timeScale < 1 ? 1 : DEBUG_SLOW_MOTION; },
+    freeze: () => {
+      debug.frozen = !debug.frozen;
+      debug.pendingSteps = 0;
+    },
+    step: () => {
+      debug.frozen = true;
+      if (gameState === 'playing') debug.pendingSteps += 1;
+    },
+  };
+
+  /** Run a DEBUG_KEYS command; `shift` picks the next type for the spawn commands. */
+  function runDebugCommand(command, shift) {
+    debugCommands[command](shift);
+    debug.refreshSec = 0;
+  }
+
+  function toggleDebugPanel() {
+    debug.panel = !debug.panel;
+    debug.refreshSec = 0;
+    debugPanelEl.classList.toggle('hidden', !debug.panel);
+  }
+
+  /** Fold one frame's timings into the smoothed readouts; the text is rebuilt every DEBUG_PANEL_REFRESH_SEC. */
+  function updateDebugPanel(intervalMs, frameMs, simMs) {
+    const smoothing = 0.1;
+    debug.intervalMs += (intervalMs - debug.intervalMs) * smoothing;
+    debug.frameMs += (frameMs - debug.frameMs) * smoothing;
+    debug.simMs += (simMs - debug.simMs) * smoothing;
+    debug.refreshSec -= intervalMs / 1000;
+    if (debug.refreshSec > 0) return;
+    debug.refreshSec = DEBUG_PANEL_REFRESH_SEC;
+    debugPanelEl.textContent = debugPanelText();
+  }
+
+  /** Panel readout: timings, entity counts, difficulty, timers, switches and command keys. */
+  function debugPanelText() {
+    const state = game.getState();
+    const { config } = game;
+    const sec = (value) => `${value.toFixed(1)}s`;
+    const onOff = (on) => (on ? 'on' : 'off');
+    const lines = [
+      `${Math.round(1000 / Math.max(1, debug.intervalMs))} fps · frame ${debug.frameMs.toFixed(2)} ms · sim ${debug.simMs.toFixed(2)} ms`,
+      ['enemies', 'bullets', 'enemyBullets', 'powerUps', 'particles'].map((key) => `${key} ${state[key].length}`).join(' · '),
+      `effects ${effects.length} · popups ${popups.length}`,
+      `difficultyLevel ${state.difficultyLevel} · enemySpeedMultiplier ${state.enemySpeedMultiplier.toFixed(2)}`,
+      `time ${formatTime(state.timeSec)} · next level ${sec(config.difficultyIntervalSec - state.difficultyElapsedSec)} · enemy spawn ${sec(state.enemySpawnTimerSec)} · power-up ${sec(state.powerUpSpawnTimerSec)}`,
+    ];
+    for (const p of state.players) {
+      const timers = [`invulnerable ${sec(Math.max(0, p.invulnerableSec))}`, `cooldown ${sec(Math.max(0, p.cooldownSec))}`];
+      if (!p.alive) timers.push(`respawn ${sec(p.respawnSec)}`);
+      if (p.comboKills > 0) timers.push(`combo ×${p.multiplier} ${sec(p.comboSec)}`);
+      for (const [type, active] of Object.entries(p.activePowerUps)) timers.push(`${type} ${sec(active.remainingSec)}`);
+      lines.push(`P${p.index + 1} ${timers.join(' · ')}`);
+    }
+    if (state.boss) lines.push(`boss ${state.boss.type} hp ${state.boss.hp}/${state.boss.maxHp} · phase ${state.boss.phaseIndex + 1}`);
+    if (state.campaign) {
+      const camp = state.campaign;
+      lines.push(`stage ${camp.stageIndex + 1} wave ${camp.waveIndex + 1}/${camp.waveCount} · ${camp.phase} ${sec(camp.timerSec)}`);
+    }
+    lines.push(
+      `god ${onOff(state.godMode)} · hitboxes ${onOff(debug.hitboxes)} · speed ×${debug.timeScale} · frozen ${onOff(debug.frozen)}${currentRun.cheated ? ' · cheated' : ''}`,
+      Object.entries(DEBUG_KEYS).map(([code, { command, label }]) => {
+        const type = command === 'spawnEnemy' ? ` (${debug.enemyType})` : command === 'spawnPowerUp' ? ` (${debug.powerUpType})` : '';
+        return `${keyLabel(code)} ${label}${type}`;
+      }).join(' · '),
+      `${keyLabel(DEBUG_TOGGLE_KEY)} hide · Shift+${keyLabel('Digit4')}/${keyLabel('Digit5')} next type`,
+    );
+    return lines.join('\n');
+  }
+
+  /**
+   * 10) Rendering
+   * All drawing uses logical coordinates; a transform scales to device pixels.
+   * Layers, back to front: parallax background and world (both shaken by the
+   * camera), then screen-fixed UI such as the boss bar.
+   */
+
+  /**
+   * Parallax layers generated for one logical size: { width, height, layers },
+   * where each layer is { def, items }. Rebuilt when the size changes.
+   */
+  let background = null;
+  /** Camera shake state; trauma is 0..1 (see EVENT_TRAUMA). */
+  const camera = { trauma: 0 };
+
+  function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+  }
+
+  /** Scatter every layer's stars / nebulae over a width x height field. */
+  function buildBackground(width, height) {
+    const layers = BACKGROUND_LAYERS.map((def) => {
+      const items = [];
+      for (let i = 0; i < def.count; i++) {
+        if (def.kind === 'nebula') {
+          const radius = randomBetween(def.minRadius, def.maxRadius);
+          // Gradient built once around the origin; drawn with a translate
+          const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+          gradient.addColorStop(0, def.colors[i % def.colors.length]);
+          gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+          items.push({ x: Math.random() * width, y: Math.random() * (height + radius * 2) - radius, radius, gradient });
+        } else {
+          items.push({ x: Math.random() * width, y: Math.random() * height, size: randomBetween(def.minSize, def.maxSize) });
+        }
+      }
+      return { def, items };
+    });
+    background = { width, height, layers };
+  }
+
+  /** Scroll the layers by `dt` seconds at the current difficulty's speed; items wrap to the top. */
+  function updateBackground(dt) {
+    if (!background) return;
+    const speedScale = game.getState().enemySpeedMultiplier;
+    const { width, height } = background;
+    for (const { def, items } of background.layers) {
+      const dy = def.speed * speedScale * dt;
+      for (const item of items) {
+        item.y += dy;
+        const margin = item.radius || item.size;
+        if (item.y - margin > height) {
+          item.y -= height + margin * 2;
+          item.x = Math.random() * width;
+        }
+      }
+    }
+  }
+
+  function drawBackground() {
+    if (!background || background.width !== GAME_WIDTH || background.height !== GAME_HEIGHT) {
+      buildBackground(GAME_WIDTH, GAME_HEIGHT);
+    }
+    const speedScale = game.getState().enemySpeedMultiplier;
+    for (const { def, items } of background.layers) {
+      ctx.globalAlpha = def.alpha;
+      if (def.kind === 'nebula') {
+        for (const n of items) {
+          ctx.translate(n.x, n.y);
+          ctx.fillStyle = n.gradient;
+          ctx.fillRect(-n.radius, -n.radius, n.radius * 2, n.radius * 2);
+          ctx.translate(-n.x, -n.y);
+        }
+        continue;
+      }
+      ctx.fillStyle = '#e8f7ff';
+      // Near layers streak as the game speeds up
+      const streak = def.streak ? def.speed * speedScale * def.streak : 0;
+      for (const star of items) {
+        ctx.fillRect(star.x, star.y - streak, star.size, star.size + streak);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /** Add screen-shake trauma (ignored when shake is off in settings). */
+  function addTrauma(amount) {
+    if (!settings.screenShake) return;
+    camera.trauma = Math.min(1, camera.trauma + amount);
+  }
+
+  /** Let trauma wear off by `dt` real seconds. */
+  function updateCamera(dt) {
+    camera.trauma = Math.max(0, camera.trauma - TRAUMA_DECAY_PER_SEC * dt);
+  }
+
+  /** Offset and tilt the world around the field's center by the current shake. */
+  function applyCameraShake() {
+    if (camera.trauma <= 0 || !settings.screenShake) return;
+    const shake = camera.trauma * camera.trauma;
+    const cx = GAME_WIDTH / 2;
+    const cy = GAME_HEIGHT / 2;
+    ctx.translate(cx + SHAKE_MAX_OFFSET * shake * randomBetween(-1, 1), cy + SHAKE_MAX_OFFSET * shake * randomBetween(-1, 1));
+    ctx.rotate(SHAKE_MAX_ANGLE * shake * randomBetween(-1, 1));
+    ctx.translate(-cx, -cy);
+  }
+
+  function draw() {
+    const { players, enemies, boss, bullets, particles, enemyBullets, powerUps, shockwaves, timeSec } = game.getState();
+
+    // Ensure transform matches current render scale
+    ctx.setTransform(renderScaleX, 0, 0, renderScaleY, 0, 0);
+
+    // Clear in logical coordinates
+    ctx.clearRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+
+    // Subtle backdrop vignette
+    const gradient = ctx.createRadialGradient(
+      GAME_WIDTH / 2,
+      GAME_HEIGHT * 0.3,
+      0,
+      GAME_WIDTH / 2,
+      GAME_HEIGHT / 2,
+      GAME_WIDTH * 0.9
+    );
+    gradient.addColorStop(0, 'rgba(0, 229, 255, 0.05)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+
+    // World layers, background included, move with the camera
+    ctx.save();
+    applyCameraShake();
+    drawBackground();
+
+    // Draw bullets (player 2's in their ship color)
+    for (const b of bullets) {
+      ctx.fillStyle = b.owner > 0 ? players[b.owner].color : '#f1fa8c';
+      ctx.fillRect(b.x, b.y, b.width, b.height);
+    }
+
+    // Draw enemies
+    if (boss) drawHull(boss, BOSS_TYPES[boss.type]);
+    for (const e of enemies) {
+      drawEnemy(e);
+    }
+
+    // Draw player ships; downed co-op ships are gone until they respawn
+    const showCore = settings.showCore || focusHeld();
+    for (const player of players) {
+      if (!player.alive) continue;
+      const flicker = (player.invulnerableSec > 0) && Math.floor(timeSec * 10) % 2 === 0;
+      if (!flicker) drawPlayerShip(player);
+      if (player.shield) {
+        const { color } = POWER_UP_TYPES.shield;
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.5 + 0.25 * Math.sin(timeSec * 8);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(player.x + player.width / 2, player.y + player.height / 2, Math.max(player.width, player.height) * 0.7, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+      if (showCore) drawShipCore(player);
+    }
+
+    // Bomb shockwaves, death animations, then their particle debris
+    for (const wave of shockwaves) drawShockwave(wave);
+    drawEffects(timeSec);
+    for (const p of particles) {
+      ctx.globalAlpha = Math.max(0, p.life);
+      ctx.fillStyle = p.color;
+      ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
+      ctx.globalAlpha = 1;
+    }
+    drawPopups(timeSec);
+
+    // Enemy bullets
+    for (const b of enemyBullets) {
+      ctx.fillStyle = '#ff9f43';
+      ctx.fillRect(b.x, b.y, b.width, b.height);
+    }
+
+    // Power-ups (draw last to ensure visibility)
+    for (const pu of powerUps) {
+      const cx = pu.x + pu.size / 2;
+      const cy = pu.y + pu.size / 2;
+      const radius = pu.size / 2;
+      const def = POWER_UP_TYPES[pu.type] || POWER_UP_TYPES.double;
+      const g = ctx.createRadialGradient(cx, cy, 2, cx, cy, radius);
+      g.addColorStop(0, `${def.color}f2`); // #rrggbbaa
+      g.addColorStop(1, `${def.color}1a`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      ctx.fill();
+
+      // icon
+      ctx.fillStyle = 'rgba(0,0,0,0.6)';
+      ctx.font = 'bold 12px ui-monospace, monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(def.icon, cx, cy + 1);
+    }
+    if (debug.hitboxes) drawHitboxes();
+    ctx.restore();
+
+    // Screen-fixed layer
+    if (boss) drawBossBar(boss);
+    if (debug.panel) drawDebugCursor();
+  }
+
+  /** Debug: outline every hitbox, plus each ship's core and graze margin (dashed). */
+  function drawHitboxes() {
+    const { players, enemies, boss, bullets, enemyBullets, powerUps } = game.getState();
+    const { grazeDistance } = game.config;
+    ctx.lineWidth = 1;
+    for (const e of enemies) drawHitbox(e, e.hitbox, '#ff5555');
+    if (boss) drawHitbox(boss, boss.hitbox, '#ff79c6');
+    for (const b of bullets) drawHitbox(b, null, '#f1fa8c');
+    for (const b of enemyBullets) drawHitbox(b, null, '#ff9f43');
+    for (const pu of powerUps) drawHitbox({ x: pu.x, y: pu.y, width: pu.size, height: pu.size }, HITBOX_SHAPES.orb, '#7dfc7d');
+    for (const p of players) {
+      if (!p.alive) continue;
+      drawHitbox(p, p.hitbox, p.color);
+      if (p.core) drawHitbox(p, p.core, '#ffffff');
+      ctx.strokeStyle = p.color;
+      ctx.setLineDash([3, 3]);
+      ctx.strokeRect(p.x - grazeDistance, p.y - grazeDistance, p.width + grazeDistance * 2, p.height + grazeDistance * 2);
+      ctx.setLineDash([]);
+    }
+  }
+
+  /** Outline `shape` placed on `box` (sim HITBOX_SHAPES format); masks shade their solid cells. */
+  function drawHitbox(box, shape, color) {
+    const { x, y, width, height } = box;
+    if (shape && shape.kind === 'mask') {
+      const cellW = width / shape.cols;
+      const cellH = height / shape.rows;
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.35;
+      for (let i = 0; i < shape.bits.length; i++) {
+        if (shape.bits[i]) ctx.fillRect(x + (i % shape.cols) * cellW, y + Math.floor(i / shape.cols) * cellH, cellW, cellH);
+      }
+      ctx.globalAlpha = 1;
+      return;
+    }
+    ctx.beginPath();
+    traceHitbox(box, shape);
+    ctx.strokeStyle = color;
+    ctx.stroke();
+  }
+
+  /** Add the outline of `shape` placed on `box` to the current path (not masks). */
+  function traceHitbox(box, shape) {
+    const { x, y, width, height } = box;
+    if (!shape || shape.kind === 'rect') {
+      const part = { x: 0, y: 0, width: 1, height: 1, ...shape };
+      ctx.rect(x + part.x * width, y + part.y * height, part.width * width, part.height * height);
+    } else if (shape.kind === 'circle') {
+      ctx.arc(x + shape.x * width, y + shape.y * height, shape.r * width, 0, Math.PI * 2);
+    } else if (shape.kind === 'capsule') {
+      // Half circles around both ends, joined by the straight sides
+      const angle = Math.atan2((shape.y2 - shape.y1) * height, (shape.x2 - shape.x1) * width);
+      const r = shape.r * width;
+      ctx.arc(x + shape.x1 * width, y + shape.y1 * height, r, angle + Math.PI / 2, angle + Math.PI * 1.5);
+      ctx.arc(x + shape.x2 * width, y + shape.y2 * height, r, angle - Math.PI / 2, angle + Math.PI / 2);
+      ctx.closePath();
+    } else {
+      shape.points.forEach(([px, py], i) => {
+        if (i === 0) ctx.moveTo(x + px * width, y + py * height);
+        else ctx.lineTo(x + px * width, y + py * height);
+      });
+      ctx.closePath();
+    }
+  }
+
+  /**
+   * The part of ship `player` that enemy bullets must touch, shown while
+   * focus is held (or always, per settings): a bright core ringed in the
+   * ship's color, or the hull outline when the core is the whole ship.
+   */
+  function drawShipCore(player) {
+    ctx.beginPath();
+    traceHitbox(player, player.core || player.hitbox);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = player.color;
+    ctx.stroke();
+    if (!player.core) return;
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+  }
+
+  /** Whether anyone holds the focus action, on the keyboard or any pad. */
+  function focusHeld() {
+    const { keys, buttons } = bindings.focus;
+    return keys.some((code) => pressedKeys.has(code)) || gamepads.some((pad) => buttons.some((i) => pad.buttons.has(i)));
+  }
+
+  /** Debug: crosshair where the spawn commands place things. */
+  function drawDebugCursor() {
+    const { x, y } = debug.cursor;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x - 8, y);
+    ctx.lineTo(x + 8, y);
+    ctx.moveTo(x, y - 8);
+    ctx.lineTo(x, y + 8);
+    ctx.stroke();
+  }
+
+  /**
+   * Mode clock in the HUD: the time left under a time limit (Time Attack),
+   * the time survived when ships can't shoot (Survival), hidden otherwise.
+   */
+  function updateModeHud() {
+    const { timeLimitSec, canShoot } = game.config;
+    const { timeSec } = game.getState();
+    const shown = timeLimitSec > 0 || !canShoot;
+    modeTimerEl.classList.toggle('hidden', !shown);
+    if (!shown) return;
+    const left = Math.max(0, timeLimitSec - timeSec);
+    const text = timeLimitSec > 0 ? `Time ${formatTime(Math.ceil(left))}` : `Survived ${formatTime(timeSec)}`;
+    if (modeTimerEl.textContent !== text) modeTimerEl.textContent = text;
+    modeTimerEl.classList.toggle('urgent', timeLimitSec > 0 && left <= TIMER_URGENT_SEC);
+  }
+
+  /**
+   * Sync the combo meter with the game: a row per ship on a combo showing its
+   * multiplier and the time left to extend it.
+   */
+  const comboHudItems = []; // per player: { el, label, bar }
+  function updateComboHud() {
+    const { players } = game.getState();
+    const { comboWindowSec } = game.config;
+    for (const player of players) {
+      let item = comboHudItems[player.index];
+      if (!item) {
+        const el = document.createElement('div');
+        el.className = 'combo';
+        el.innerHTML = '<span class="combo-label"></span><span class="combo-bar"><span></span></span>';
+        item = { el, label: el.querySelector('.combo-label'), bar: el.querySelector('.combo-bar > span') };
+        comboHudItems[player.index] = item;
+      }
+      if (player.comboKills === 0) {
+        item.el.remove();
+        continue;
+      }
+      if (!item.el.isConnected) comboHudEl.appendChild(item.el);
+      item.el.style.setProperty('--player-color', players.length > 1 ? player.color : COMBO_POPUP_COLOR);
+      item.label.textContent = `${players.length > 1 ? `P${player.index + 1} ` : ''}×${player.multiplier}`;
+      item.bar.style.width = `${Math.max(0, Math.min(1, player.comboSec / comboWindowSec)) * 100}%`;
+    }
+    for (let i = players.length; i < comboHudItems.length; i++) {
+      if (comboHudItems[i]) comboHudItems[i].el.remove();
+    }
+  }
+
+  /**
+   * Sync the HUD list of timed power-ups (icon, label, countdown bar) with the
+   * game; in co-op each row is marked with its player's number and color.
+   */
+  const powerUpHudItems = new Map(); // `${player}:${type}` -> { el, bar, player, type }
+  function updatePowerUpHud() {
+    const { players } = game.getState();
+    for (const [key, item] of powerUpHudItems) {
+      const player = players[item.player];
+      if (!player || !(item.type in player.activePowerUps)) {
+        item.el.remove();
+        powerUpHudItems.delete(key);
+      }
+    }
+    for (const player of players) {
+      for (const type of Object.keys(player.activePowerUps)) {
+        const key = `${player.index}:${type}`;
+        let item = powerUpHudItems.get(key);
+        if (!item) {
+          const def = POWER_UP_TYPES[type];
+          const owner = players.length > 1 ? `P${player.index + 1} ` : '';
+          const el = document.createElement('div');
+          el.className = owner ? 'powerup owned' : 'powerup';
+          el.style.setProperty('--powerup-color', def.color);
+          el.style.setProperty('--player-color', player.color);
+          el.innerHTML = `<span class="powerup-icon">${def.icon}</span><span class="powerup-label">${owner}${def.label}</span><span class="powerup-bar"><span></span></span>`;
+          powerUpsHudEl.appendChild(el);
+          item = { el, bar: el.querySelector('.powerup-bar > span'), player: player.index, type };
+          powerUpHudItems.set(key, item);
+        }
+        const { remainingSec, durationSec } = player.activePowerUps[type];
+        item.bar.style.width = `${Math.max(0, Math.min(1, remainingSec / durationSec)) * 100}%`;
+      }
+    }
+  }
+
+  /**
+   * Draw an enemy from its archetype: sprite (optionally tinted), darkening as
+   * it takes damage, a white flash on hit, and an HP bar for multi-HP kinds.
+   */
+  function drawEnemy(e) {
+    const def = ENEMY_TYPES[e.type];
+    drawHull(e, def);
+    if (e.maxHp > 1 && e.hp < e.maxHp) {
+      ctx.fillStyle = 'rgba(0,0,0,0.5)';
+      ctx.fillRect(e.x, e.y - 6, e.width, 3);
+      ctx.fillStyle = def.color;
+      ctx.fillRect(e.x, e.y - 6, e.width * (e.hp / e.maxHp), 3);
+    }
+  }
+
+  /** Enemy or boss body: tinted sprite darkened by damage, flashing white on hits. */
+  function drawHull(e, def) {
+    const img = assets.images[def.sprite];
+    const damage = 1 - e.hp / e.maxHp;
+    if (img) {
+      ctx.drawImage(img, e.x, e.y, e.width, e.height);
+      if (def.tint) drawSilhouette(img, def.tint, 0.45, e);
+      if (damage > 0) drawSilhouette(img, '#000000', damage * 0.45, e);
+      if (e.hitFlashSec > 0) drawSilhouette(img, '#ffffff', 0.85, e);
+    } else {
+      ctx.fillStyle = e.hitFlashSec > 0 ? '#ffffff' : def.color;
+      ctx.fillRect(e.x, e.y, e.width, e.height);
+      ctx.strokeStyle = `rgba(0,0,0,${0.3 + damage * 0.4})`;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(e.x + 2, e.y + 2, e.width - 4, e.height - 4);
+    }
+  }
+
+  /** Boss health bar across the top of the canvas, with phase notches. */
+  function drawBossBar(boss) {
+    const def = BOSS_TYPES[boss.type];
+    const width = GAME_WIDTH * 0.5;
+    const x = (GAME_WIDTH - width) / 2;
+    const y = 14;
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(x - 2, y - 2, width + 4, 12);
+    ctx.fillStyle = boss.hitFlashSec > 0 ? '#ffffff' : def.color;
+    ctx.fillRect(x, y, width * Math.max(0, boss.hp / boss.maxHp), 8);
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    for (const phase of def.phases.slice(1)) ctx.fillRect(x + width * phase.hpBelow - 1, y, 2, 8);
+    ctx.font = 'bold 11px ui-monospace, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(def.name.toUpperCase(), GAME_WIDTH / 2, y + 12);
+  }
+
+  /** Solid-color copies of sprites (alpha preserved), cached per image + color. */
+  const silhouetteCache = new Map();
+  function silhouetteOf(img, color) {
+    const key = `${img.src}|${color}`;
+    let silhouette = silhouetteCache.get(key);
+    if (!silhouette) {
+      silhouette = document.createElement('canvas');
+      silhouette.width = img.naturalWidth;
+      silhouette.height = img.naturalHeight;
+      const sctx = silhouette.getContext('2d');
+      sctx.drawImage(img, 0, 0);
+      sctx.globalCompositeOperation = 'source-in';
+      sctx.fillStyle = color;
+      sctx.fillRect(0, 0, silhouette.width, silhouette.height);
+      silhouetteCache.set(key, silhouette);
+    }
+    return silhouette;
+  }
+
+  /**
+   * Alpha-mask hitboxes (sim createHitMask) for every enemy and boss type
+   * whose sprite loaded, keyed by type for the `hitboxes` config. Masks are
+   * sampled once per sprite; a sprite the browser won't let us read (a
+   * tainted canvas, e.g. from file://) keeps its type's built-in shape.
+   */
+  const spriteMasks = new Map();
+  function spriteMaskHitboxes() {
+    const hitboxes = {};
+    for (const [type, def] of [...Object.entries(ENEMY_TYPES), ...Object.entries(BOSS_TYPES)]) {
+      if (!spriteMasks.has(def.sprite)) spriteMasks.set(def.sprite, spriteMask(assets.images[def.sprite]));
+      const mask = spriteMasks.get(def.sprite);
+      if (mask) hitboxes[type] = mask;
+    }
+    return hitboxes;
+  }
+
+  function spriteMask(img) {
+    if (!img) return null;
+    const sampler = document.createElement('canvas');
+    sampler.width = SPRITE_MASK_SIZE;
+    sampler.height = SPRITE_MASK_SIZE;
+    const sctx = sampler.getContext('2d');
+    sctx.drawImage(img, 0, 0, SPRITE_MASK_SIZE, SPRITE_MASK_SIZE);
+    try {
+      return createHitMask(sctx.getImageData(0, 0, SPRITE_MASK_SIZE, SPRITE_MASK_SIZE));
+    } catch (err) {
+      console.warn(`Sprite hitbox unavailable for ${img.src}: ${err.message}`);
+      return null;
+    }
+  }
+
+  function drawSilhouette(img, color, alpha, rect) {
+    ctx.globalAlpha = alpha;
+    ctx.drawImage(silhouetteOf(img, color), rect.x, rect.y, rect.width, rect.height);
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Draw a player ship: the animated ship sheet (thruster flicker, banking
+   * while moving sideways), else the still jet image, else a vector. Sprites
+   * of players after the first are tinted with their color.
+   */
+  function drawPlayerShip(player) {
+    const { x, y, width, height, color, index } = player;
+    const tint = index > 0;
+    const sheet = assets.sheets.ship;
+    if (sheet) {
+      const dx = x - shipAnimation.lastX[index];
+      shipAnimation.lastX[index] = x;
+      const name = dx < -SHIP_BANK_THRESHOLD ? 'bankLeft' : dx > SHIP_BANK_THRESHOLD ? 'bankRight' : 'idle';
+      const anim = sheet.animations[name] || sheet.animations.idle;
+      const frame = animationFrame(anim, game.getState().timeSec);
+      drawSheetFrame(sheet, frame, x, y, width, height);
+      if (tint) {
+        ctx.globalAlpha = 0.5;
+        drawSheetFrame(sheet, frame, x, y, width, height, silhouetteOf(sheet.img, color));
+        ctx.globalAlpha = 1;
+      }
+      return;
+    }
+    if (assets.images.jet) {
+      ctx.drawImage(assets.images.jet, x, y, width, height);
+      if (tint) drawSilhouette(assets.images.jet, color, 0.5, player);
+      return;
+    }
+    ctx.save();
+    ctx.translate(x + width / 2, y + height / 2);
+    ctx.beginPath();
+    ctx.moveTo(0, -height / 2);
+    ctx.lineTo(width / 2, height / 2);
+    ctx.lineTo(0, height / 3);
+    ctx.lineTo(-width / 2, height / 2);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /** Ship banking follows each ship's on-screen movement between rendered frames. */
+  const shipAnimation = { lastX: [0, 0] };
+
+  /**
+   * Frame number of `anim` at `elapsedSec`; looping animations wrap, others
+   * return -1 once finished.
+   */
+  function animationFrame(anim, elapsedSec) {
+    const index = Math.floor(elapsedSec * anim.fps);
+    if (anim.loop === false) return index < anim.frames.length ? anim.frames[index] : -1;
+    return anim.frames[index % anim.frames.length];
+  }
+
+  /**
+   * Draw frame `index` of `sheet` so its body fills (x, y, width, height);
+   * rows below bodyHeight (exhaust and the like) extend past the rect.
+   * `source` swaps in a same-size copy of the sheet image (a silhouette).
+   */
+  function drawSheetFrame(sheet, index, x, y, width, height, source = sheet.img) {
+    const cols = Math.floor(sheet.img.naturalWidth / sheet.frameWidth);
+    const sx = (index % cols) * sheet.frameWidth;
+    const sy = Math.floor(index / cols) * sheet.frameHeight;
+    const scaleY = height / (sheet.bodyHeight || sheet.frameHeight);
+    ctx.drawImage(source, sx, sy, sheet.frameWidth, sheet.frameHeight, x, y, width, sheet.frameHeight * scaleY);
+  }
+
+  /**
+   * One-shot sprite animations (death explosions), timed on the simulation
+   * clock so they freeze with the game: { sheet, anim, cx, cy, size, startSec }.
+   */
+  const effects = [];
+
+  /** Play a sheet animation centered on (cx, cy), `size` logical px square. */
+  function spawnEffect(sheetName, animName, cx, cy, size, delaySec = 0) {
+    const sheet = assets.sheets[sheetName];
+    const anim = sheet && sheet.animations[animName];
+    if (!anim) return;
+    effects.push({ sheet, anim, cx, cy, size, startSec: game.getState().timeSec + delaySec });
+  }
+
+  /**
+   * A bomb's shockwave: a ring that thins and fades as it grows, over a faint
+   * disc marking how far it damages enemies.
+   */
+  function drawShockwave(wave) {
+    const fade = 1 - wave.radius / wave.maxRadius;
+    ctx.save();
+    ctx.fillStyle = POWER_UP_TYPES.bomb.color;
+    ctx.globalAlpha = 0.18 * fade;
+    ctx.beginPath();
+    ctx.arc(wave.x, wave.y, Math.min(wave.radius, game.config.bombRadius), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#ffe3e3';
+    ctx.globalAlpha = 0.3 + 0.7 * fade;
+    ctx.lineWidth = 2 + 6 * fade;
+    ctx.beginPath();
+    ctx.arc(wave.x, wave.y, wave.radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /** Draw running effects and drop finished ones. */
+  function drawEffects(timeSec) {
+    for (let i = effects.length - 1; i >= 0; i--) {
+      const fx = effects[i];
+      if (timeSec < fx.startSec) continue;
+      const frame = animationFrame(fx.anim, timeSec - fx.startSec);
+      if (frame < 0) {
+        effects.splice(i, 1);
+        continue;
+      }
+      drawSheetFrame(fx.sheet, frame, fx.cx - fx.size / 2, fx.cy - fx.size / 2, fx.size, fx.size);
+    }
+  }
+
+  /**
+   * Floating score numbers (kills, grazes, combo steps), timed on the
+   * simulation clock like effects: { text, x, y, color, size, startSec }.
+   */
+  const popups = [];
+
+  function spawnPopup(text, x, y, color, size) {
+    popups.push({ text, x, y, color, size, startSec: game.getState().timeSec });
+  }
+
+  /** Draw popups rising and fading out; drop finished ones. */
+  function drawPopups(timeSec) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let i = popups.length - 1; i >= 0; i--) {
+      const popup = popups[i];
+      const progress = (timeSec - popup.startSec) / POPUP_DURATION_SEC;
+      if (progress >= 1) {
+        popups.splice(i, 1);
+        continue;
+      }
+      ctx.globalAlpha = 1 - progress * progress;
+      ctx.font = `bold ${popup.size}px ui-monospace, monospace`;
+      ctx.fillStyle = popup.color;
+      ctx.fillText(popup.text, popup.x, popup.y - progress * POPUP_RISE_PX);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Non-blocking announcement over the canvas (wave/stage banners). The CSS
+   * animation fades it out; `variant` selects a longer-lived style.
+   */
+  function showBanner(title, subtitle = '', variant = '') {
+    bannerEl.replaceChildren();
+    for (const [text, className] of [[title, 'banner-title'], [subtitle, 'banner-subtitle']]) {
+      if (!text) continue;
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;
+      bannerEl.appendChild(line);
+    }
+    bannerEl.className = `banner ${variant}`.trim();
+    void bannerEl.offsetWidth; // restart the animation when banners follow each other
+    bannerEl.classList.add('show');
+  }
+
+  function hideBanner() {
+    bannerEl.className = 'banner';
+  }
+
+  /** Stage-clear screen, shown during the intermission before the next stage. */
+  function showStageClear(evt) {
+    const next = evt.last ? 'Campaign complete — endless mode next' : `Next: ${game.config.levels[evt.stage + 1].name}`;
+    showBanner(`Stage ${evt.stage + 1} Clear!`, `${evt.name} · Score ${evt.score} · ${next}`, 'stage-clear');
+  }
+
+  /** Show the overlay with the given markup. */
+  function showOverlay(html) {
+    overlayEl.innerHTML = html;
+    overlayEl.classList.remove('hidden');
+  }
+
+  function hideOverlay() {
+    overlayEl.classList.add('hidden');
+    overlayEl.innerHTML = '';
+  }
+
+  /** Pause menu: buttons are wired through `data-action` (see overlayActions). */
+  function showPauseMenu() {
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Paused</div>
+        <button type="button" class="menu-button" data-action="resume">Resume</button>
+        <button type="button" class="menu-button" data-action="restart">Restart</button>
+        <button type="button" class="menu-button" data-action="saveReplay">Save replay</button>
+        <button type="button" class="menu-button" data-action="settings">Settings</button>
+        <button type="button" class="menu-button" data-action="title">Quit to title</button>
+      </div>
+    `);
+  }
+
+  /**
+   * Title screen: pick a game mode (each with its best score) or the daily
+   * challenge. The last run, or an empty field on first load, stays behind it.
+   */
+  function showTitleScreen() {
+    stopPlayback();
+    recorder = null;
+    clearSavedRun();
+    gameState = 'title';
+    audio.stopMusic();
+    if (!game) game = createGame({ width: GAME_WIDTH, height: GAME_HEIGHT });
+    updateHud();
+    const modes = Object.entries(GAME_MODES).map(([id, def]) => `
+      <button type="button" class="menu-button mode-button ${id === settings.mode ? 'active' : ''}" data-action="playMode" data-mode="${id}">
+        <span class="mode-label">${def.label}</span>
+        <span class="mode-description">${def.description}</span>
+        <span class="mode-best">Best: ${bestScore(id)}</span>
+      </button>
+    `).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Space Shooter</div>
+        ${modes}
+        <button type="button" class="menu-button" data-action="daily">Daily challenge</button>
+        <div class="menu-text">${bindingLabel('restart', 'keys')} plays ${GAME_MODES[settings.mode] ? GAME_MODES[settings.mode].label : 'Endless'}</div>
+      </div>
+    `);
+  }
+
+  /** Offered on load when a run was saved (see loadSavedRun): resume it or go to the title screen. */
+  function showContinuePrompt(saved) {
+    const { score, timeSec } = saved.snapshot.state || {};
+    const mode = GAME_MODES[saved.replay.mode].label;
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Continue run?</div>
+        <div class="menu-text continue-run"></div>
+        <div class="menu-text continue-saved"></div>
+        <button type="button" class="menu-button" data-action="continueRun">Continue</button>
+        <button type="button" class="menu-button" data-action="title">New game</button>
+      </div>
+    `);
+    // Saves come from localStorage, which is not trusted as HTML
+    overlayEl.querySelector('.continue-run').textContent = `${saved.daily ? `Daily ${saved.daily}` : mode} · ${difficultyLabel(saved.replay.preset)} · score ${Number(score) || 0} · ${formatTime(Number(timeSec) || 0)}`;
+    overlayEl.querySelector('.continue-saved').textContent = `Saved ${new Date(saved.savedAt).toLocaleString()}`;
+  }
+
+  /** Simple titled message with a way back to a fresh run. */
+  function showMessage(title, text) {
+    stopPlayback();
+    gameState = 'gameover';
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title"></div>
+        <div class="menu-text"></div>
+        <button type="button" class="menu-button" data-action="restart">Play</button>
+      </div>
+    `);
+    // Errors may quote loaded files (replays, score imports), which are not trusted as HTML
+    overlayEl.querySelector('.menu-title').textContent = title;
+    overlayEl.querySelector('.menu-text').textContent = text;
+  }
+
+  /** Loading screen shown before the first frame: images settled out of total. */
+  function showLoading(done, total) {
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Loading…</div>
+        <div class="loading-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}"><span style="width:${percent}%"></span></div>
+        <div class="menu-text">${done} / ${total} images</div>
+      </div>
+    `);
+  }
+
+  /** Files that failed to load, listed before play; the game falls back to vector art. */
+  function showAssetProblems(problems) {
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Some assets failed to load</div>
+        <ul class="asset-problems"></ul>
+        <div class="menu-text">Missing graphics are drawn as simple shapes.</div>
+        <button type="button" class="menu-button" data-action="playAnyway">Play anyway</button>
+      </div>
+    `);
+    const list = overlayEl.querySelector('.asset-problems');
+    for (const problem of problems) {
+      const item = document.createElement('li');
+      item.textContent = problem; // manifest paths are not trusted as HTML
+      list.appendChild(item);
+    }
+  }
+
+  /** Stress test report: per-frame timing percentiles (ms) and entity peaks. */
+  function showStressResults(rows) {
+    const ms = (value) => value.toFixed(2);
+    const { peak } = stress;
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Stress test</div>
+        <div class="menu-text">${STRESS_SAMPLE_FRAMES} frames · peak ${peak.enemies} enemies, ${peak.enemyBullets} enemy bullets, ${peak.bullets} shots, ${peak.particles} particles</div>
+        <table class="stress">
+          <thead><tr><th></th><th>p50</th><th>p90</th><th>p99</th><th>max</th></tr></thead>
+          <tbody>
+            ${rows.map((r) => `<tr><th>${r.label}</th><td>${ms(r.p50)}</td><td>${ms(r.p90)}</td><td>${ms(r.p99)}</td><td>${ms(r.max)}</td></tr>`).join('')}
+          </tbody>
+        </table>
+        <button type="button" class="menu-button" data-action="stressAgain">Run again</button>
+        <button type="button" class="menu-button" data-action="restart">Play</button>
+      </div>
+    `);
+  }
+
+  /**
+   * Score over time as an inline SVG polyline, with a tick under the line at
+   * each hit taken (blue when a shield absorbed it).
+   */
+  function renderSparkline() {
+    const { stats, timeSec } = game.getState();
+    const timeline = scoreTimeline();
+    const durationSec = Math.max(timeSec, game.config.statsSampleSec);
+    const maxScore = Math.max(1, ...timeline.map(([, value]) => value));
+    const x = (t) => ((Math.min(t, durationSec) / durationSec) * SPARKLINE_WIDTH).toFixed(1);
+    const y = (value) => (SPARKLINE_HEIGHT - (value / maxScore) * SPARKLINE_HEIGHT).toFixed(1);
+    const points = timeline.map(([t, value]) => `${x(t)},${y(value)}`).join(' ');
+    const ticks = stats.damage.map((d) => (
+      `<line class="damage${d.absorbed ? ' absorbed' : ''}" x1="${x(d.timeSec)}" x2="${x(d.timeSec)}" y1="${SPARKLINE_HEIGHT + 3}" y2="${SPARKLINE_HEIGHT + 9}" />`
+    )).join('');
+    return `
+      <svg class="sparkline" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT + 10}" viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT + 10}" role="img" aria-label="Score over time">
+        <polyline points="${points}" />${ticks}
+      </svg>
+      <div class="sparkline-legend">Score over ${formatTime(timeSec)} · ticks: hits taken</div>
+    `;
+  }
+
+  /** End-of-run statistics with the score sparkline and a copy-as-text button. */
+  function showRunStats() {
+    const { rows } = buildRunSummary();
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Run Stats</div>
+        ${renderSparkline()}
+        <table class="run-stats"><tbody>
+          ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+        </tbody></table>
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="copyStats">Copy as text</button>
+          <button type="button" class="menu-button small" data-action="gameOver">Back</button>
+        </div>
+      </div>
+    `);
+  }
+
+  /** Between-run shop: buy the next level of each upgrade; purchases apply from the next run. */
+  function showShop() {
+    const rows = Object.entries(UPGRADES).map(([id, def]) => {
+      const level = progress.upgrades[id] || 0;
+      const cost = upgradeCost(id);
+      const buy = cost === null
+        ? '<span class="menu-text">Maxed</span>'
+        : `<button type="button" class="menu-button small" data-action="buyUpgrade" data-upgrade="${id}" ${cost > progress.credits ? 'disabled' : ''}>${cost}</button>`;
+      return `
+        <tr>
+          <th>${def.label}<div class="upgrade-description">${def.description}</div></th>
+          <td class="num">${level}/${def.costs.length}</td>
+          <td>${buy}</td>
+        </tr>
+      `;
+    }).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Shop</div>
+        <div class="menu-text">Credits: <strong>${progress.credits}</strong> · earned ${Math.round(CREDITS_PER_POINT * 1000)} per 1000 points</div>
+        <table class="shop"><tbody>${rows}</tbody></table>
+        <div class="menu-text">Upgrades apply from the next run.</div>
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="confirmResetProgress">Reset progress</button>
+          <button type="button" class="menu-button small" data-action="gameOver">Back</button>
+        </div>
+      </div>
+    `);
+  }
+
+  /**
+   * Daily challenge: today's attempt (or its result code to share), unlimited
+   * practice on the same run, the streak, recent results and a code checker.
+   */
+  function showDailyMenu() {
+    const today = todayUtc();
+    const result = dailyResult(today);
+    const streak = dailyStreak(today);
+    const rows = daily.results.slice(0, 7).map((r) => `
+      <tr>
+        <th>${r.date}</th>
+        <td class="num">${r.code ? r.score : '—'}</td>
+        <td>${r.code ? `<code>${r.code}</code>` : 'not scored'}</td>
+      </tr>
+    `).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Daily Challenge</div>
+        <div class="menu-text">${today} (UTC) · the same run for everyone · streak: <strong>${streak} day${streak === 1 ? '' : 's'}</strong></div>
+        ${result
+          ? `<div class="menu-text">${renderDailyOutcome({ daily: today, practice: false })}</div>`
+          : '<button type="button" class="menu-button" data-action="playDaily">Play (one scored attempt)</button>'}
+        <button type="button" class="menu-button" data-action="practiceDaily">Practice</button>
+        ${rows ? `<table class="daily-history"><tbody>${rows}</tbody></table>` : ''}
+        <div class="menu-row">
+          <input type="text" class="daily-code" placeholder="SS-YYYYMMDD-score-CHECK" aria-label="Result code" spellcheck="false" />
+          <button type="button" class="menu-button small" data-action="verifyDailyCode">Check code</button>
+        </div>
+        <div class="menu-text daily-verdict"></div>
+        <button type="button" class="menu-button small" data-action="${gameState === 'title' ? 'title' : 'gameOver'}">Back</button>
+      </div>
+    `);
+  }
+
+  /** One line on a daily run: practice, its shareable code with a copy button, or why it has none. */
+  function renderDailyOutcome(run) {
+    if (run.practice) return `Daily practice ${run.daily} · not scored`;
+    const result = dailyResult(run.daily);
+    if (!result || !result.code) return `Daily ${run.daily}: ${run.cheated ? 'debug run, not scored' : 'attempt not finished'}`;
+    return `Daily ${run.daily}: <strong>${result.score}</strong> · <code>${result.code}</code>
+      <button type="button" class="menu-button small" data-action="copyDailyCode" data-code="${result.code}">Copy code</button>`;
+  }
+
+  function showResetProgressPrompt() {
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Reset progress?</div>
+        <div class="menu-text">All ${progress.credits} credits and every upgrade bought will be lost.</div>
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="resetProgress">Reset</button>
+          <button type="button" class="menu-button small" data-action="shop">Cancel</button>
+        </div>
+      </div>
+    `);
+  }
+
+  function showReplayFinished() {
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Replay finished</div>
+        <div class="menu-text">Score: <strong>${game.getState().score}</strong></div>
+        <button type="button" class="menu-button" data-action="watchAgain">Watch again</button>
+        <button type="button" class="menu-button" data-action="restart">Play</button>
+      </div>
+    `);
+  }
+
+  /** Sync the replay HUD buttons and elapsed time with the playback state. */
+  function updateReplayHud() {
+    if (!playback) return;
+    const toggleBtn = replayHudEl.querySelector('[data-replay="toggle"]');
+    toggleBtn.textContent = playback.paused ? 'Play' : 'Pause';
+    for (const btn of replayHudEl.querySelectorAll('[data-replay-speed]')) {
+      btn.classList.toggle('active', Number(btn.dataset.replaySpeed) === playback.speed);
+    }
+    replayTimeEl.textContent = formatTime(playback.stepCount * FIXED_STEP_SEC);
+  }
+
+  function showSettingsMenu() {
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Settings</div>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="autoPause" ${settings.autoPause ? 'checked' : ''} />
+          Auto-pause when the game loses focus
+        </label>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="muted" ${settings.muted ? 'checked' : ''} />
+          Mute all sound (M)
+        </label>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="screenShake" ${settings.screenShake ? 'checked' : ''} />
+          Screen shake
+        </label>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="coop" ${settings.coop ? 'checked' : ''} />
+          Two-player co-op (from the next run)
+        </label>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="showCore" ${settings.showCore ? 'checked' : ''} />
+          Always show the ship's hitbox (else hold ${bindingLabel('focus', 'keys')})
+        </label>
+        <label class="menu-option">
+          <input type="checkbox" data-setting="spriteHitboxes" ${settings.spriteHitboxes ? 'checked' : ''} />
+          Pixel-exact enemy hitboxes (from the next run)
+        </label>
+        <label class="menu-option">
+          Music
+          <input type="range" min="0" max="1" step="0.05" data-setting="musicVolume" value="${settings.musicVolume}" />
+        </label>
+        <label class="menu-option">
+          Effects
+          <input type="range" min="0" max="1" step="0.05" data-setting="sfxVolume" value="${settings.sfxVolume}" />
+        </label>
+        <button type="button" class="menu-button" data-action="difficulty">Difficulty: ${difficultyLabel(settings.difficulty)}</button>
+        <button type="button" class="menu-button" data-action="controls">Controls</button>
+        <button type="button" class="menu-button" data-action="back">Back</button>
+      </div>
+    `);
+  }
+
+  /** Preset picker plus a slider per tunable; moving a slider switches to Custom. */
+  function showDifficultyMenu() {
+    const presetIds = [...Object.keys(DIFFICULTY_PRESETS), 'custom'];
+    const presetButtons = presetIds.map((id) => `
+      <button type="button" class="menu-button small ${id === settings.difficulty ? 'active' : ''}" data-action="setPreset" data-preset="${id}">${difficultyLabel(id)}</button>
+    `).join('');
+    const values = resolveDifficulty(settings.difficulty, settings.customTuning);
+    const rows = Object.entries(TUNABLES).map(([key, range]) => `
+      <tr>
+        <th>${range.label}</th>
+        <td><input type="range" min="${range.min}" max="${range.max}" step="${range.step}" value="${values[key]}" data-tuning="${key}" /></td>
+        <td class="num" data-tuning-value="${key}">${formatTuning(key, values[key])}</td>
+      </tr>
+    `).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Difficulty</div>
+        <div class="menu-row">${presetButtons}</div>
+        <table class="tuning"><tbody>${rows}</tbody></table>
+        <div class="menu-text">Applies from the next run.</div>
+        <button type="button" class="menu-button" data-action="settings">Back</button>
+      </div>
+    `);
+  }
+
+  /** Key and gamepad bindings per action; click one to rebind it. */
+  function showControlsMenu() {
+    const p2Actions = Object.values(PLAYER_ACTIONS[1]);
+    const rows = Object.keys(ACTION_LABELS).map((action) => `
+      <tr>
+        <th>${ACTION_LABELS[action]}</th>
+        <td><button type="button" class="menu-button small" data-action="rebind" data-binding="${action}" data-device="keys">${bindingLabel(action, 'keys')}</button></td>
+        <td>${p2Actions.includes(action) ? '<span class="menu-text">Own pad</span>' : `<button type="button" class="menu-button small" data-action="rebind" data-binding="${action}" data-device="buttons">${bindingLabel(action, 'buttons')}</button>`}</td>
+      </tr>
+    `).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">Controls</div>
+        <table class="bindings">
+          <thead><tr><th></th><th>Keyboard</th><th>Gamepad</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="resetBindings">Reset to defaults</button>
+          <button type="button" class="menu-button small" data-action="settings">Back</button>
+        </div>
+      </div>
+    `);
+  }
+
+  function showRebindPrompt() {
+    const { action, device } = rebinding;
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">${ACTION_LABELS[action]}</div>
+        <div class="menu-text">${device === 'keys' ? 'Press a key' : 'Press a gamepad button'}</div>
+        <button type="button" class="menu-button" data-action="cancelRebind">Cancel</button>
+      </div>
+    `);
+  }
+
+  /** Rebuild the .help panel from the active bindings (touch devices get gesture help). */
+  function renderHelp() {
+    if (!helpEl) return;
+    if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+      const drag = settings.coop ? '<div>Drag left / right half: P1 / P2</div>' : '<div>Drag: Move</div>';
+      helpEl.innerHTML = `${drag}<div>Hold: Auto‑fire</div><div>Two‑finger tap: Bomb</div><div>Catch orbs: Power‑ups</div><div>❚❚: Pause</div><div>Tap: Restart</div>`;
+      return;
+    }
+    const lines = settings.coop ? [
+      `P1: ${movementLabel(0)} move, ${bindingLabel('fire', 'keys')} shoot, ${bindingLabel('bomb', 'keys')} bomb`,
+      `P2: ${movementLabel(1)} move, ${bindingLabel('p2fire', 'keys')} shoot, ${bindingLabel('p2bomb', 'keys')} bomb`,
+    ] : [
+      `Move: ${movementLabel()}`,
+      `Shoot: ${bindingLabel('fire', 'keys')}`,
+      `Bomb: ${bindingLabel('bomb', 'keys')}`,
+    ];
+    lines.push(
+      `Show hitbox: hold ${bindingLabel('focus', 'keys')}`,
+      `Pause: ${bindingLabel('pause', 'keys')}`,
+      `Mute: ${bindingLabel('mute', 'keys')}`,
+      `Play / restart: ${bindingLabel('restart', 'keys')} (title screen, after Game Over)`,
+    );
+    if (gamepads[0].index >= 0) {
+      const owner = !settings.coop ? '' : gamepads[1].index >= 0 ? ' (one per player)' : ' (P2)';
+      lines.push(`Gamepad${owner}: stick / D-pad move, ${bindingLabel('fire', 'buttons')} shoot, ${bindingLabel('bomb', 'buttons')} bomb, ${bindingLabel('pause', 'buttons')} pause`);
+    }
+    helpEl.replaceChildren(...lines.map((text) => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      return line;
+    }));
+  }
+
+  /** Handlers for overlay buttons, keyed by their `data-action` attribute. */
+  const overlayActions = {
+    resume: resumeGame,
+    restart: () => resetGame(),
+    continueCheckpoint: () => {
+      const { checkpoint } = game.getState().campaign || {};
+      if (checkpoint) resetGame({ levels: game.config.levels, startStage: checkpoint.stage, startWave: checkpoint.wave });
+    },
+    settings: showSettingsMenu,
+    back: showPauseMenu,
+    controls: showControlsMenu,
+    difficulty: showDifficultyMenu,
+    setPreset: (actionEl) => {
+      settings.difficulty = actionEl.dataset.preset;
+      saveSettings();
+      showDifficultyMenu();
+    },
+    rebind: (actionEl) => {
+      rebinding = { action: actionEl.dataset.binding, device: actionEl.dataset.device };
+      showRebindPrompt();
+    },
+    cancelRebind: () => {
+      rebinding = null;
+      showControlsMenu();
+    },
+    resetBindings: () => {
+      resetBindings();
+      renderHelp();
+      showControlsMenu();
+    },
+    saveReplay: () => downloadReplay(gameState === 'paused' ? buildReplay() : lastReplay),
+    loadReplay: openReplayFile,
+    watchLast: () => { if (lastReplay) startPlayback(lastReplay); },
+    watchAgain: () => { if (playback) startPlayback(playback.replay); },
+    stressAgain: () => startStressRun(stress.enemies),
+    runStats: showRunStats,
+    shop: showShop,
+    buyUpgrade: (actionEl) => {
+      buyUpgrade(actionEl.dataset.upgrade);
+      showShop();
+    },
+    confirmResetProgress: showResetProgressPrompt,
+    resetProgress: () => {
+      resetProgress();
+      showShop();
+    },
+    gameOver: () => showGameOver(gameOverRank),
+    daily: showDailyMenu,
+    playDaily: () => startDailyRun(false),
+    practiceDaily: () => startDailyRun(true),
+    copyDailyCode: (actionEl) => {
+      copyText(actionEl.dataset.code).then((copied) => {
+        actionEl.textContent = copied ? 'Copied' : 'Copy failed';
+      });
+    },
+    verifyDailyCode: (actionEl) => {
+      const menu = actionEl.closest('.menu');
+      const code = menu.querySelector('.daily-code').value;
+      const result = decodeDailyResult(code);
+      menu.querySelector('.daily-verdict').textContent = result
+        ? `Valid: ${result.score} points on ${result.date}`
+        : 'Not a valid result code';
+    },
+    copyStats: (actionEl) => {
+      const { text } = buildRunSummary();
+      copyText(text).then((copied) => {
+        if (copied) {
+          actionEl.textContent = 'Copied';
+          return;
+        }
+        // No clipboard access: show the text selected for a manual copy
+        const area = document.createElement('textarea');
+        area.className = 'stats-text';
+        area.readOnly = true;
+        area.rows = 8;
+        area.value = text;
+        actionEl.closest('.menu').appendChild(area);
+        area.select();
+        actionEl.remove();
+      });
+    },
+    playAnyway: startFirstRun,
+    continueRun: () => {
+      const saved = loadSavedRun();
+      if (!saved || !resumeSavedRun(saved)) showTitleScreen();
+    },
+    title: showTitleScreen,
+    playMode: (actionEl) => {
+      settings.mode = actionEl.dataset.mode;
+      saveSettings();
+      resetGame();
+    },
+    initialsUp: (el) => cycleInitial(Number(el.dataset.slot), 1),
+    initialsDown: (el) => cycleInitial(Number(el.dataset.slot), -1),
+    initialsSubmit: submitInitials,
+    exportScores: exportHighScores,
+    importScores: () => pickJsonFile(
+      (data) => {
+        importHighScores(data);
+        updateHud();
+        showGameOver();
+      },
+      (err) => showMessage('Could not import scores', err.message)
+    ),
+  };
+
+  /** Leaderboard markup; `highlightRank` marks the row just added. */
+  function renderHighScoreTable(highlightRank = -1) {
+    const list = loadHighScores(runMode());
+    if (list.length === 0) return `<div class="menu-text">No ${GAME_MODES[runMode()].label} high scores yet</div>`;
+    const rows = list.map((e, i) => `
+      <tr class="${i === highlightRank ? 'highlight' : ''}">
+        <td>${i + 1}</td>
+        <td>${e.initials}</td>
+        <td class="num">${e.score}</td>
+        <td class="num">${formatTime(e.timeSec)}</td>
+        <td class="num">${e.level + 1}</td>
+        <td>${difficultyLabel(e.preset)}</td>
+        <td>${new Date(e.date).toLocaleDateString()}</td>
+      </tr>`).join('');
+    return `
+      <table class="scores">
+        <thead><tr><th>#</th><th>Name</th><th>Score</th><th>Time</th><th>Lv</th><th>Difficulty</th><th>Date</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /** Arcade-style initials prompt; letters cycle with ▲/▼ or are typed directly. */
+  function showInitialsEntry() {
+    const slots = initialsEntry.chars.map((ch, i) => `
+      <div class="initial-slot ${i === initialsEntry.cursor ? 'active' : ''}">
+        <button type="button" class="menu-button small" data-action="initialsUp" data-slot="${i}" aria-label="Next letter">▲</button>
+        <div class="initial-char">${ch}</div>
+        <button type="button" class="menu-button small" data-action="initialsDown" data-slot="${i}" aria-label="Previous letter">▼</button>
+      </div>`).join('');
+    showOverlay(`
+      <div class="menu">
+        <div class="menu-title">New High Score!</div>
+        <div class="menu-text">Score: <strong>${initialsEntry.result.score}</strong> — enter your initials</div>
+        <div class="initials">${slots}</div>
+        <button type="button" class="menu-button" data-action="initialsSubmit">OK</button>
+      </div>
+    `);
+  }
+
+  function cycleInitial(slot, delta) {
+    const n = INITIALS_ALPHABET.length;
+    const index = INITIALS_ALPHABET.indexOf(initialsEntry.chars[slot]);
+    initialsEntry.chars[slot] = INITIALS_ALPHABET[(index + delta + n) % n];
+    initialsEntry.cursor = slot;
+    showInitialsEntry();
+  }
+
+  /** Keyboard editing: type letters, arrows to cycle/move, Backspace, Enter to save. */
+  function handleInitialsKey(e) {
+    const entry = initialsEntry;
+    const letter = e.key && e.key.length === 1 ? e.key.toUpperCase() : '';
+    if (letter && INITIALS_ALPHABET.includes(letter)) {
+      entry.chars[entry.cursor] = letter;
+      entry.cursor = Math.min(INITIALS_LENGTH - 1, entry.cursor + 1);
+    } else if (e.code === 'Backspace' || e.code === 'ArrowLeft') {
+      entry.cursor = Math.max(0, entry.cursor - 1);
+    } else if (e.code === 'ArrowRight') {
+      entry.cursor = Math.min(INITIALS_LENGTH - 1, entry.cursor + 1);
+    } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+      cycleInitial(entry.cursor, e.code === 'ArrowUp' ? 1 : -1);
+      return;
+    } else if (e.code === 'Enter') {
+      submitInitials();
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    showInitialsEntry();
+  }
+
+  function submitInitials() {
+    if (!initialsEntry) return;
+    const initials = initialsEntry.chars.join('');
+    const rank = addHighScore({ ...initialsEntry.result, initials, date: new Date().toISOString() });
+    saveJson(LAST_INITIALS_STORAGE_KEY, initials);
+    initialsEntry = null;
+    updateHud();
+    showGameOver(rank);
+  }
+
+  /** Switch to game over state; prompt for initials first if the run made the table. */
+  function endGame() {
+    gameState = 'gameover';
+    updateHud();
+    audio.stopMusic();
+    audio.play('gameOver');
+    if (playback) {
+      showReplayFinished();
+      return;
+    }
+    lastReplay = buildReplay();
+    recorder = null;
+    clearSavedRun();
+    settleDailyRun();
+    // Debug and daily practice runs pay no credits and never reach the high-score table
+    const unscored = currentRun.cheated || currentRun.practice;
+    lastRunCredits = stress || unscored ? 0 : awardCredits(game.getState().score);
+
+    const { score, timeSec, difficultyLevel } = game.getState();
+    if (!unscored && qualifiesForHighScore(score, runMode())) {
+      const last = String(loadJson(LAST_INITIALS_STORAGE_KEY, 'AAA'));
+      const chars = Array.from({ length: INITIALS_LENGTH }, (_, i) => (
+        INITIALS_ALPHABET.includes(last[i]) ? last[i] : 'A'
+      ));
+      initialsEntry = { chars, cursor: 0, result: { score, timeSec, level: difficultyLevel, preset: currentRun.preset, mode: runMode() } };
+      showInitialsEntry();
+      return;
+    }
+    showGameOver();
+  }
+
+  /** Game-over screen: final score, leaderboard and restart instructions. */
+  function showGameOver(highlightRank = -1) {
+    gameOverRank = highlightRank;
+    const isTouch = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    const restartHint = isTouch
+      ? 'Tap anywhere to play again'
+      : `Press <strong>${bindingLabel('restart', 'keys')}</strong> to play again`;
+    const { checkpoint } = game.getState().campaign || {};
+    const checkpointButton = checkpoint && !currentRun.daily
+      ? `<div class="menu-row"><button type="button" class="menu-button" data-action="continueCheckpoint">Continue from Stage ${checkpoint.stage + 1}, Wave ${checkpoint.wave + 1}</button></div>`
+      : '';
+    const dailyLine = currentRun.daily ? `<div class="menu-text">${renderDailyOutcome(currentRun)}</div>` : '';
+    const { timeLimitSec } = game.config;
+    const title = timeLimitSec > 0 && game.getState().timeSec >= timeLimitSec ? 'Time\'s Up' : 'Game Over';
+    const mode = runMode() === 'endless' ? '' : ` · ${GAME_MODES[runMode()].label}`;
+    showOverlay(`
+      <div>
+        <div style="font-size:28px;font-weight:800;margin-bottom:8px;letter-spacing:0.6px;">${title}</div>
+        <div style="opacity:0.9;margin-bottom:14px">Final Score: <strong>${game.getState().score}</strong>${mode} · ${difficultyLabel(currentRun.preset)} · ${formatTime(game.getState().timeSec)} · ${currentRun.cheated ? 'debug run, not scored' : currentRun.practice ? 'practice, not scored' : `+${lastRunCredits} credits`}</div>
+        ${dailyLine}
+        ${renderHighScoreTable(highlightRank)}
+        <div style="font-size:14px;opacity:0.9">${restartHint}</div>
+        ${checkpointButton}
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="runStats">Run stats</button>
+          <button type="button" class="menu-button small" data-action="title">Modes</button>
+          <button type="button" class="menu-button small" data-action="daily">Daily challenge</button>
+          <button type="button" class="menu-button small" data-action="shop">Shop (${progress.credits} credits)</button>
+          <button type="button" class="menu-button small" data-action="watchLast">Watch replay</button>
+          <button type="button" class="menu-button small" data-action="saveReplay">Save replay</button>
+          <button type="button" class="menu-button small" data-action="loadReplay">Load replay</button>
+        </div>
+        <div class="menu-row">
+          <button type="button" class="menu-button small" data-action="exportScores">Export scores</button>
+          <button type="button" class="menu-button small" data-action="importScores">Import scores</button>
+        </div>
+      </div>
+    `);
+  }
+
+  /** Run one fixed simulation step with live or replayed input. */
+  function stepSimulation() {
+    if (playback) {
+      const input = nextReplayInput();
+      if (!input) {
+        finishPlayback();
+        return;
+      }
+      update(FIXED_STEP_SEC, input);
+      return;
+    }
+    const input = readLiveInput();
+    if (recorder) recordStep(input);
+    if (stress) {
+      fillStressRun();
+      input.fire = true;
+    }
+    update(FIXED_STEP_SEC, input);
+  }
+
+  /**
+   * Animation frame callback. Real elapsed time is accumulated and consumed in
+   * FIXED_STEP_SEC steps so the simulation is independent of the display rate.
+   */
+  function frame(timestamp) {
+    // Ensure backing store matches current CSS size/DPR
+    resizeCanvas();
+    pollGamepad();
+    const elapsedMs = timestamp - lastTimestamp;
+    const dt = Math.min(MAX_FRAME_SEC, elapsedMs / 1000);
+    lastTimestamp = timestamp;
+
+    const running = gameState === 'playing' && !(playback && playback.paused);
+    const frameStart = performance.now();
+    if (running) {
+      const speed = (playback ? playback.speed : 1) * debug.timeScale;
+      let steps = 0;
+      if (debug.frozen) {
+        // Single-step mode: only the steps asked for run, and no time piles up meanwhile
+        while (steps < debug.pendingSteps && gameState === 'playing') {
+          stepSimulation();
+          steps += 1;
+        }
+        debug.pendingSteps = 0;
+        accumulatorSec = 0;
+      } else {
+        accumulatorSec += dt * speed;
+        while (accumulatorSec >= FIXED_STEP_SEC && steps < MAX_STEPS_PER_FRAME && gameState === 'playing') {
+          stepSimulation();
+          accumulatorSec -= FIXED_STEP_SEC;
+          steps += 1;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) accumulatorSec = 0; // drop backlog instead of spiralling
+      }
+      if (playback) updateReplayHud();
+      autosaveSec -= dt;
+      if (autosaveSec <= 0) saveRun();
+      updateBackground(debug.frozen ? steps * FIXED_STEP_SEC : dt * speed);
+    } else {
+      accumulatorSec = 0;
+      if (gameState === 'title') updateBackground(dt);
+    }
+    updateCamera(dt);
+    const simEnd = performance.now();
+    draw();
+    updateModeHud();
+    updateComboHud();
+    updatePowerUpHud();
+    if (stress && running) recordStressFrame(performance.now() - frameStart, simEnd - frameStart);
+    if (debug.panel) updateDebugPanel(elapsedMs, performance.now() - frameStart, simEnd - frameStart);
 
     requestAnimationFrame(frame);
   }
@@ -660,25 +3376,125 @@
    * 11) Bootstrap / Init
    */
   // Initial UI
-  updateHud();
-  overlayEl.classList.add('hidden');
+  loadSettings();
+  loadBindings();
+  loadProgress();
+  loadDaily();
+  applyAudioSettings();
+  hideOverlay();
+
+  // Overlay buttons dispatch by data-action; otherwise a tap restarts after game over
+  overlayEl.addEventListener('click', (e) => {
+    const actionEl = e.target.closest('[data-action]');
+    if (actionEl) {
+      const action = overlayActions[actionEl.dataset.action];
+      if (action) action(actionEl);
+      return;
+    }
+    // Tap-to-restart, except when focusing a text field (the daily code checker)
+    if (gameState === 'gameover' && !initialsEntry && !e.target.closest('input')) resetGame();
+  });
+  // Settings controls: checkboxes and volume sliders (live while dragging)
+  function onSettingInput(e) {
+    const tuningKey = e.target.dataset && e.target.dataset.tuning;
+    if (tuningKey) {
+      setTuning(tuningKey, Number(e.target.value));
+      const label = overlayEl.querySelector(`[data-tuning-value="${tuningKey}"]`);
+      if (label) label.textContent = formatTuning(tuningKey, Number(e.target.value));
+      if (e.type === 'change') showDifficultyMenu(); // refresh preset buttons and paired sliders
+      return;
+    }
+    const key = e.target.dataset && e.target.dataset.setting;
+    if (!key || !(key in settings)) return;
+    const { type, checked, value } = e.target;
+    settings[key] = type === 'checkbox' ? checked : type === 'range' ? Number(value) : value;
+    saveSettings();
+    applyAudioSettings();
+    if (key === 'coop') renderHelp();
+  }
+  overlayEl.addEventListener('input', onSettingInput);
+  overlayEl.addEventListener('change', onSettingInput);
+
+  // Browsers only allow audio to start from a user gesture (first tap / key on mobile)
+  function unlockAudio() {
+    if (!audio.unlock()) return;
+    window.removeEventListener('pointerdown', unlockAudio, true);
+    window.removeEventListener('keydown', unlockAudio, true);
+  }
+  window.addEventListener('pointerdown', unlockAudio, true);
+  window.addEventListener('keydown', unlockAudio, true);
+
+  // Touch HUD pause button
+  if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
+
+  // Replay HUD controls
+  replayHudEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.replaySpeed) setReplaySpeed(Number(btn.dataset.replaySpeed));
+    else if (btn.dataset.replay === 'toggle') toggleReplayPause();
+    else if (btn.dataset.replay === 'exit') resetGame();
+  });
 
-  // Make overlay tappable to restart on mobile
-  overlayEl.addEventListener('click', () => {
-    if (gameState === 'gameover') resetGame();
+  // Auto-pause when the tab is hidden or the window loses focus
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && settings.autoPause) pauseGame();
+    if (document.hidden) saveRun();
+    if (document.hidden) audio.suspend();
+    else audio.resume();
+  });
+  window.addEventListener('blur', () => {
+    if (settings.autoPause) pauseGame();
+  });
+  // Closing, reloading or a mobile browser discarding the tab: keep the run to continue later
+  window.addEventListener('pagehide', saveRun);
+
+  // Help text follows the active bindings; a connected gamepad adds its line
+  renderHelp();
+  window.addEventListener('gamepadconnected', () => {
+    pollGamepad();
+    renderHelp();
+  });
+  window.addEventListener('gamepaddisconnected', () => {
+    pollGamepad();
+    renderHelp();
   });
 
-  // Show mobile-friendly help on touch devices
-  if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches && helpEl) {
-    helpEl.innerHTML = '<div>Drag: Move</div><div>Hold: Auto‑fire</div><div>Catch green orb: Double‑shot (5s)</div><div>Tap: Restart</div>';
-  }
+  // Offline support and the "update available" prompt
+  registerServiceWorker();
 
   // Initial sizing + resize listener
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
 
-  requestAnimationFrame((ts) => {
-    lastTimestamp = ts;
-    requestAnimationFrame(frame);
+  /** Start the first run (or the ?stress benchmark) and the frame loop. */
+  function startFirstRun() {
+    const params = new URLSearchParams(window.location.search);
+    applyDebugParams(params);
+    const stressParam = params.get('stress');
+    if (stressParam !== null) {
+      const count = Math.floor(Number(stressParam)) || STRESS_DEFAULT_ENEMIES;
+      startStressRun(Math.min(STRESS_MAX_ENEMIES, Math.max(1, count)));
+    } else {
+      const saved = loadSavedRun();
+      if (saved) {
+        game = createGame({ width: GAME_WIDTH, height: GAME_HEIGHT });
+        showContinuePrompt(saved);
+      } else {
+        showTitleScreen();
+      }
+    }
+    requestAnimationFrame((ts) => {
+      lastTimestamp = ts;
+      requestAnimationFrame(frame);
+    });
+  }
+
+  // Loading screen until the level scripts and images are in; problems are listed before play
+  showLoading(0, 0);
+  Promise.all([loadCampaign(), loadAssets(showLoading)]).then(([levels, problems]) => {
+    campaignLevels = levels;
+    if (problems.length > 0) showAssetProblems(problems);
+    else startFirstRun();
   });
 })();
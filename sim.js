@@ -0,0 +1,2323 @@
+(function (root, factory) {
+  'use strict';
+  // Browser: exposes window.SpaceShooterSim. Node: module.exports (for tests).
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SpaceShooterSim = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /*
+   * Space Shooter Simulation Core
+   * - DOM-free: no document, window, Image or timers; runs in browsers and Node
+   * - Owns game state and entity collections; the page script renders them
+   * - Sections:
+   *   1) Default Config (difficulty presets, tunable ranges)
+   *   2) Power-up Registry
+   *   3) Enemy Archetypes (movement and fire patterns)
+   *   4) Bosses (phases)
+   *   5) Level Scripts (formations, validation)
+   *   6) Utilities
+   *   7) Game Factory (state, spawning, rules, step)
+   */
+
+  /**
+   * 1) Default Config
+   * Tunable numeric parameters for gameplay. Any key can be overridden per game
+   * via createGame(config).
+   */
+  const DEFAULT_CONFIG = {
+    width: 800, // logical width
+    height: 600, // logical height
+    seed: 1,
+    playerSpeed: 320, // px/s
+    bulletSpeed: 700, // px/s
+    enemyMinSpeed: 70, // px/s
+    enemyMaxSpeed: 160, // px/s
+    shootCooldownSec: 0.22,
+    invulnerabilitySec: 1.5,
+    spawnInvulnerabilitySec: 1.0, // grace period at the start of a run
+    enemySpawnMinSec: 0.45,
+    enemySpawnMaxSec: 0.9,
+    maxLives: 3,
+    extraLives: 0, // reserve ships on top of maxLives (shop upgrade); extra lives refill up to both
+    startShield: false, // ships start the run shielded (shop upgrade)
+    powerUpDurationScale: 1, // multiplies every timed power-up's durationSec
+    powerUpSpawnMinSec: 8.0,
+    powerUpSpawnMaxSec: 16.0,
+    powerUpSpeed: 90,
+    enemyBulletSpeed: 280, // px/s
+    enemyShootMinSec: 1.0,
+    enemyShootMaxSec: 2.5,
+    difficultyIntervalSec: 60, // every minute
+    difficultySpeedStep: 0.15, // +15% enemy speed per interval
+    enemyHitFlashSec: 0.08, // white flash on multi-HP enemies when damaged
+    levels: null, // validated level scripts (see validateLevel); null = endless only
+    startStage: 0, // continue a campaign from a checkpoint
+    startWave: 0,
+    stageClearSec: 4, // intermission after a stage's last wave
+    bosses: true, // a boss arrives at each difficulty step
+    bossHpStep: 0.5, // +50% boss HP per difficulty level after the first
+    bossEntrySpeed: 60, // px/s descent to its holding line
+    bombStock: 2, // bombs each ship starts the run with
+    maxBombs: 5,
+    bombExpandSec: 0.6, // the shockwave grows to the farthest screen corner in this long
+    bombRadius: 280, // px from the blast; enemies (and the boss) the wave reaches within it are damaged
+    bombDamage: 3, // HP taken from each enemy in range
+    bombBossDamage: 0.1, // fraction of a boss's max HP a bomb removes
+    bombBulletPoints: 5, // per enemy bullet the shockwave clears (not multiplied)
+    bombInvulnerabilitySec: 2,
+    bombMilestonePoints: 5000, // every ship gains a bomb each time the score passes a multiple (0 = never)
+    collisionCellSize: 64, // spatial-hash cell size (px); roughly the largest common entity
+    players: 1, // 2 = local co-op: a second ship sharing the life pool
+    respawnSec: 2, // co-op: how long a downed ship waits before respawning
+    comboWindowSec: 2.5, // a kill within this long of the last one continues the combo
+    comboKillsPerStep: 5, // kills per +1 score multiplier
+    comboMaxMultiplier: 8,
+    grazeDistance: 18, // px around the ship within which a passing enemy bullet grazes
+    grazePoints: 10, // per bullet, once each (not multiplied)
+    statsSampleSec: 5, // run stats record the score this often (sparkline)
+    godMode: false, // debug: hits and escapes cost nothing (see setGodMode)
+    playerCoreRadius: 5, // px; enemy bullets only hit this circle at the ship's center (0 = the whole ship shape)
+    hitboxes: null, // hitbox overrides by ENEMY_TYPES / BOSS_TYPES key, e.g. sprite alpha masks (see createHitMask)
+    startLevel: 0, // difficulty level the run starts at
+    timeLimitSec: 0, // the run ends after this long (0 = no limit)
+    canShoot: true, // false: ships never fire, and carry no bombs
+    escapesCostLives: true, // false: enemies leaving past the bottom are harmless
+    scorePerSec: 0, // points for every whole second survived
+  };
+
+  /** Ship color per player slot (co-op). */
+  const PLAYER_COLORS = ['#00e5ff', '#ff6bd6'];
+
+  /**
+   * Collision shapes. Coordinates are fractions of the entity's box, so a
+   * shape fits any size it is drawn at; a radius is a fraction of the box
+   * width. Shapes must stay inside the box, which is all the broad phase
+   * (spatial hash) looks at. An entity without a `hitbox` collides as its
+   * whole box.
+   * - rect: { x, y, width, height } sub-box (defaults to the whole box)
+   * - circle: center { x, y }, radius r
+   * - capsule: segment (x1, y1)-(x2, y2) swept by radius r
+   * - polygon: convex, `points` as [x, y] pairs, at most MAX_HITBOX_POINTS
+   * - mask: solid cells of a cols x rows grid over the box (see createHitMask)
+   */
+  const MAX_HITBOX_POINTS = 12;
+  const HITBOX_SHAPES = {
+    /** Player ship, nose up: the hull of its wings and fuselage. */
+    ship: { kind: 'polygon', points: [[0.5, 0], [0.98, 0.62], [0.98, 0.78], [0.62, 1], [0.38, 1], [0.02, 0.78], [0.02, 0.62]] },
+    /** The enemy fighter sprite, nose down: swept wings narrowing to the nose. */
+    fighter: { kind: 'polygon', points: [[0.26, 0.06], [0.74, 0.06], [0.98, 0.26], [0.98, 0.32], [0.62, 0.86], [0.5, 0.98], [0.38, 0.86], [0.02, 0.32], [0.02, 0.26]] },
+    /** Power-up orbs. */
+    orb: { kind: 'circle', x: 0.5, y: 0.5, r: 0.5 },
+  };
+
+  /**
+   * Player-tunable config keys with their allowed ranges. Presets only touch
+   * these keys; the Custom preset is any set of values within range.
+   */
+  const TUNABLES = {
+    maxLives: { label: 'Lives', min: 1, max: 9, step: 1 },
+    playerSpeed: { label: 'Ship speed', min: 150, max: 600, step: 10 },
+    shootCooldownSec: { label: 'Shot cooldown (s)', min: 0.08, max: 0.6, step: 0.01 },
+    enemySpawnMinSec: { label: 'Enemy spawn min (s)', min: 0.15, max: 3, step: 0.05 },
+    enemySpawnMaxSec: { label: 'Enemy spawn max (s)', min: 0.15, max: 3, step: 0.05 },
+    enemyMinSpeed: { label: 'Enemy speed min', min: 30, max: 300, step: 5 },
+    enemyMaxSpeed: { label: 'Enemy speed max', min: 30, max: 300, step: 5 },
+    enemyBulletSpeed: { label: 'Enemy bullet speed', min: 100, max: 600, step: 10 },
+    enemyShootMinSec: { label: 'Enemy fire min (s)', min: 0.3, max: 5, step: 0.1 },
+    enemyShootMaxSec: { label: 'Enemy fire max (s)', min: 0.3, max: 5, step: 0.1 },
+    difficultyIntervalSec: { label: 'Level-up every (s)', min: 15, max: 180, step: 5 },
+    difficultySpeedStep: { label: 'Speed-up per level', min: 0, max: 0.5, step: 0.01 },
+    powerUpSpawnMinSec: { label: 'Power-up min (s)', min: 2, max: 40, step: 1 },
+    powerUpSpawnMaxSec: { label: 'Power-up max (s)', min: 2, max: 40, step: 1 },
+    playerCoreRadius: { label: 'Core hitbox (px, 0 = whole ship)', min: 0, max: 18, step: 1 },
+  };
+
+  /** Tunable pairs whose min must not exceed their max. */
+  const TUNABLE_RANGES = [
+    ['enemySpawnMinSec', 'enemySpawnMaxSec'],
+    ['enemyMinSpeed', 'enemyMaxSpeed'],
+    ['enemyShootMinSec', 'enemyShootMaxSec'],
+    ['powerUpSpawnMinSec', 'powerUpSpawnMaxSec'],
+  ];
+
+  /** Difficulty presets: overrides of TUNABLES keys on top of DEFAULT_CONFIG. */
+  const DIFFICULTY_PRESETS = {
+    easy: {
+      label: 'Easy',
+      config: {
+        maxLives: 5,
+        enemySpawnMinSec: 0.7,
+        enemySpawnMaxSec: 1.3,
+        enemyMaxSpeed: 130,
+        enemyBulletSpeed: 220,
+        enemyShootMinSec: 1.6,
+        enemyShootMaxSec: 3.5,
+        difficultySpeedStep: 0.1,
+        powerUpSpawnMinSec: 6,
+        powerUpSpawnMaxSec: 12,
+      },
+    },
+    normal: { label: 'Normal', config: {} },
+    hard: {
+      label: 'Hard',
+      config: {
+        maxLives: 2,
+        enemySpawnMinSec: 0.3,
+        enemySpawnMaxSec: 0.65,
+        enemyMinSpeed: 90,
+        enemyMaxSpeed: 200,
+        enemyBulletSpeed: 340,
+        enemyShootMinSec: 0.7,
+        enemyShootMaxSec: 1.8,
+        difficultyIntervalSec: 45,
+        difficultySpeedStep: 0.2,
+        powerUpSpawnMinSec: 10,
+        powerUpSpawnMaxSec: 20,
+      },
+    },
+  };
+
+  /**
+   * Game modes: rules layered on a run's difficulty. `config` is applied last,
+   * over the preset and shop upgrades; `preset`, when set, replaces the
+   * player's difficulty choice.
+   */
+  const GAME_MODES = {
+    endless: {
+      label: 'Endless',
+      description: 'Last as long as you can while the difficulty climbs',
+      config: {},
+    },
+    timeAttack: {
+      label: 'Time Attack',
+      description: 'Highest score in 2 minutes',
+      config: { timeLimitSec: 120 },
+    },
+    survival: {
+      label: 'Survival',
+      description: 'No guns or bombs: dodge for as long as possible, 10 points a second',
+      // No bosses: one that can't be shot down would hold up the spawns for good
+      config: { canShoot: false, escapesCostLives: false, scorePerSec: 10, bosses: false },
+    },
+    hardcore: {
+      label: 'Hardcore',
+      description: 'One life, maximum difficulty from the start',
+      preset: 'hard',
+      // Level 7: every archetype unlocked and enemy fire at its fastest
+      config: { maxLives: 1, extraLives: 0, startLevel: 7 },
+    },
+  };
+
+  /**
+   * Keep only known TUNABLES keys with numeric values, clamped to range and
+   * snapped to whole lives; min/max pairs are put in order.
+   * @returns {Object} a clean overrides object (possibly empty)
+   */
+  function sanitizeTuning(raw) {
+    const tuning = {};
+    if (!raw || typeof raw !== 'object') return tuning;
+    for (const [key, range] of Object.entries(TUNABLES)) {
+      const value = raw[key];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      tuning[key] = clamp(key === 'maxLives' ? Math.round(value) : value, range.min, range.max);
+    }
+    for (const [minKey, maxKey] of TUNABLE_RANGES) {
+      if (minKey in tuning && maxKey in tuning && tuning[minKey] > tuning[maxKey]) {
+        [tuning[minKey], tuning[maxKey]] = [tuning[maxKey], tuning[minKey]];
+      }
+    }
+    return tuning;
+  }
+
+  /**
+   * Every TUNABLES value for a preset id, or for "custom" the given tuning on
+   * top of the defaults. Unknown presets fall back to normal.
+   */
+  function resolveDifficulty(preset, customTuning) {
+    const base = {};
+    for (const key of Object.keys(TUNABLES)) base[key] = DEFAULT_CONFIG[key];
+    if (preset === 'custom') return { ...base, ...sanitizeTuning(customTuning) };
+    const def = DIFFICULTY_PRESETS[preset] || DIFFICULTY_PRESETS.normal;
+    return { ...base, ...def.config };
+  }
+
+  /**
+   * Live enemy. `type` is an ENEMY_TYPES key; the remaining fields are per-instance
+   * state used by its movement pattern (baseX, vx, phase, diving, holdSec...).
+   * @typedef {{type:string,x:number,y:number,width:number,height:number,vx:number,vy:number,hp:number,maxHp:number,ageSec:number,hitFlashSec:number,shootTimerSec:number,hitbox:Hitbox|null,[key:string]:any}} Enemy
+   */
+  /**
+   * Live boss. `type` is a BOSS_TYPES key; `phaseIndex` indexes its phases and
+   * `fireTimersSec` holds one countdown per emitter of the current phase.
+   * @typedef {{type:string,x:number,y:number,width:number,height:number,vx:number,hp:number,maxHp:number,phaseIndex:number,ageSec:number,hitFlashSec:number,fireTimersSec:number[],bombWave:number,hitbox:Hitbox|null}} Boss
+   */
+  /**
+   * A player ship. `index` is its slot (0 = player 1); `score` counts only its
+   * own kills (state.score is the team total). In co-op a hit ship is downed
+   * (`alive` false) until `respawnSec` runs out. `comboKills` kills in a row,
+   * each within `comboSec` of the last, raise `multiplier`. `hitbox` is the
+   * ship's shape against enemies and pickups; `core` (null: the hitbox) is
+   * what enemy bullets must touch. `bombs` is its stock; `bombPressed`
+   * remembers the last step's bomb input, so a held button sets off one bomb.
+   * @typedef {{index:number,x:number,y:number,width:number,height:number,color:string,cooldownSec:number,cooldownScale:number,shield:boolean,invulnerableSec:number,score:number,activePowerUps:Object<string, ActivePowerUp>,alive:boolean,respawnSec:number,comboKills:number,comboSec:number,multiplier:number,bombs:number,bombPressed:boolean,hitbox:Hitbox,core:Hitbox|null}} Player
+   */
+  /**
+   * `owner` is the index of the player who fired it.
+   * @typedef {{x:number,y:number,width:number,height:number,vx:number,vy:number,owner:number}} PlayerBullet
+   */
+  /** @typedef {{x:number,y:number,life:number,dx:number,dy:number,color:string}} Particle */
+  /** A HITBOX_SHAPES-style shape. @typedef {{kind:string,[key:string]:any}} Hitbox */
+  /** @typedef {{x:number,y:number,size:number,vy:number,type:string}} PowerUp type is a POWER_UP_TYPES key */
+  /** @typedef {{remainingSec:number,durationSec:number}} ActivePowerUp */
+  /**
+   * Per-run statistics for the end-of-run summary. Team totals; kills,
+   * bosses and powerUps count by type key. `damage` has one entry per hit
+   * taken or escape (`absorbed` when a shield took it); `scoreSamples[i]` is
+   * the score at i × cfg.statsSampleSec. `bombs` counts bombs set off and
+   * `bombBullets` the enemy bullets their shockwaves cleared.
+   * @typedef {{shotsFired:number,shotsHit:number,kills:Object<string, number>,bosses:Object<string, number>,powerUps:Object<string, number>,livesLost:{collision:number,enemyBullet:number,escape:number},damage:{timeSec:number,cause:string,absorbed:boolean}[],grazes:number,bombs:number,bombBullets:number,bestMultiplier:number,scoreSamples:number[]}} RunStats
+   */
+  /**
+   * `grazed` is set once it has paid a graze bonus; `dead` once it has hit a
+   * ship, so grids built earlier in the step skip it.
+   * @typedef {{x:number,y:number,width:number,height:number,vx:number,vy:number,grazed:boolean,dead:boolean}} EnemyBullet
+   */
+  /**
+   * A bomb's expanding ring, centered where player `owner` set it off.
+   * `radius` grows to `maxRadius` over cfg.bombExpandSec; `bullets` and
+   * `points` tally the enemy bullets it has cleared. `id` marks the enemies
+   * it has already damaged (their `bombWave`).
+   * @typedef {{id:number,owner:number,x:number,y:number,radius:number,maxRadius:number,ageSec:number,bullets:number,points:number}} Shockwave
+   */
+
+  /**
+   * Per-step input for one ship. Directions and fire are booleans; (moveX,
+   * moveY) is an analog stick in [-1, 1], used when no direction is held. When
+   * `pointer` is set the ship follows (pointerX, pointerY) in logical
+   * coordinates. Co-op games take an array with one Input per player.
+   * `bomb` sets off a bomb on the step it turns on.
+   * @typedef {{left?:boolean,right?:boolean,up?:boolean,down?:boolean,moveX?:number,moveY?:number,fire?:boolean,shoot?:boolean,bomb?:boolean,pointer?:boolean,pointerX?:number,pointerY?:number}} Input
+   */
+
+  /**
+   * Something the page may want to react to (HUD, overlays, effects).
+   * @typedef {{type:string,[key:string]:any}} GameEvent
+   */
+
+  /**
+   * 2) Power-up Registry
+   * Every collectible type, keyed by id. Add an entry here to add a power-up.
+   * - label/color/icon: presentation for the orb and the HUD
+   * - durationSec: how long the effect lasts; 0 means instant (no timer)
+   * - weight: relative spawn chance
+   * - apply(ctx): called on pickup (also when a timed effect is refreshed)
+   * - expire(ctx): called when a timed effect ends
+   * Hooks receive the game context from createGame: { state, cfg, player,
+   * collectBomb, gainLife }, where `player` is the ship that collected it.
+   */
+  const POWER_UP_TYPES = {
+    double: {
+      label: 'Double shot',
+      color: '#7dfc7d',
+      icon: 'D',
+      durationSec: 5,
+      weight: 30,
+    },
+    spread: {
+      label: 'Spread shot',
+      color: '#ffd166',
+      icon: 'W',
+      durationSec: 6,
+      weight: 22,
+    },
+    rapid: {
+      label: 'Rapid fire',
+      color: '#ff9ff3',
+      icon: 'R',
+      durationSec: 6,
+      weight: 22,
+      apply: ({ player }) => { player.cooldownScale = 0.45; },
+      expire: ({ player }) => { player.cooldownScale = 1; },
+    },
+    shield: {
+      label: 'Shield',
+      color: '#48dbfb',
+      icon: 'S',
+      durationSec: 12, // or until it absorbs a hit
+      weight: 16,
+      apply: ({ player }) => { player.shield = true; },
+      expire: ({ player }) => { player.shield = false; },
+    },
+    bomb: {
+      label: 'Bomb',
+      color: '#ff6b6b',
+      icon: 'B',
+      durationSec: 0, // one more in stock; set off at once when the stock is full
+      weight: 6,
+      apply: ({ collectBomb }) => collectBomb(),
+    },
+    life: {
+      label: 'Extra life',
+      color: '#ff4d6d',
+      icon: '♥',
+      durationSec: 0,
+      weight: 4,
+      apply: ({ gainLife }) => gainLife(),
+    },
+  };
+
+  /**
+   * 3) Enemy Archetypes
+   * Enemy kinds as data, keyed by id. Add an entry here to add an enemy.
+   * - sprite/tint/color: renderer image key, optional sprite tint, and the
+   *   explosion / no-sprite fallback color
+   * - width/height/hp/score: size, hit points, points awarded on kill
+   * - speedScale: multiplies the config's enemyMinSpeed..enemyMaxSpeed roll
+   * - movement: { pattern, ...params }, pattern is a MOVEMENT_PATTERNS key
+   * - fire: { pattern, intervalScale }, pattern is a FIRE_PATTERNS key
+   * - weight/minLevel: random spawn chance, from which difficulty level
+   * - hitbox: collision shape (HITBOX_SHAPES entry or inline shape)
+   */
+  const ENEMY_TYPES = {
+    grunt: {
+      sprite: 'enemy',
+      tint: null,
+      color: '#ff4757',
+      width: 36,
+      height: 36,
+      hp: 1,
+      score: 100,
+      speedScale: 1,
+      movement: { pattern: 'straight' },
+      fire: { pattern: 'aimed', intervalScale: 1 },
+      weight: 60,
+      minLevel: 0,
+      hitbox: HITBOX_SHAPES.fighter,
+    },
+    weaver: {
+      sprite: 'enemy',
+      tint: '#48dbfb',
+      color: '#48dbfb',
+      width: 34,
+      height: 34,
+      hp: 1,
+      score: 150,
+      speedScale: 0.9,
+      movement: { pattern: 'sine', amplitude: 60, frequency: 0.8 },
+      fire: { pattern: 'aimed', intervalScale: 1.3 },
+      weight: 25,
+      minLevel: 0,
+      hitbox: HITBOX_SHAPES.fighter,
+    },
+    zigzag: {
+      sprite: 'enemy',
+      tint: '#a29bfe',
+      color: '#a29bfe',
+      width: 32,
+      height: 32,
+      hp: 1,
+      score: 150,
+      speedScale: 1,
+      movement: { pattern: 'zigzag', speedX: 150, periodSec: 0.9 },
+      fire: { pattern: 'down', intervalScale: 1 },
+      weight: 20,
+      minLevel: 1,
+      hitbox: HITBOX_SHAPES.fighter,
+    },
+    diver: {
+      sprite: 'enemy',
+      tint: '#ff9f43',
+      color: '#ff9f43',
+      width: 30,
+      height: 30,
+      hp: 1,
+      score: 200,
+      speedScale: 0.8,
+      movement: { pattern: 'dive', triggerY: 0.3, speed: 380 },
+      fire: { pattern: 'none' },
+      weight: 15,
+      minLevel: 1,
+      hitbox: HITBOX_SHAPES.fighter,
+    },
+    gunship: {
+      sprite: 'enemy',
+      tint: '#ff6b81',
+      color: '#ff6b81',
+      width: 56,
+      height: 48,
+      hp: 5,
+      score: 500,
+      speedScale: 0.7,
+      movement: { pattern: 'strafe', holdY: 0.18, holdSec: 6, speedX: 80 },
+      fire: { pattern: 'spread', intervalScale: 1.2 },
+      weight: 8,
+      minLevel: 2,
+      hitbox: HITBOX_SHAPES.fighter,
+    },
+  };
+
+  /**
+   * Movement patterns: advance enemy `e` by `dt`. `ctx` carries { state, player,
+   * speed } where speed is the difficulty-scaled descent speed for this enemy.
+   */
+  const MOVEMENT_PATTERNS = {
+    straight(e, params, dt, ctx) {
+      e.y += ctx.speed * dt;
+    },
+    /** Weave around the spawn column. */
+    sine(e, params, dt, ctx) {
+      e.y += ctx.speed * dt;
+      e.x = e.baseX + Math.sin(e.ageSec * params.frequency * Math.PI * 2 + e.phase) * params.amplitude;
+    },
+    /** Sharp left/right switches every periodSec, bouncing off the edges. */
+    zigzag(e, params, dt, ctx) {
+      e.y += ctx.speed * dt;
+      if (Math.floor(e.ageSec / params.periodSec) !== Math.floor((e.ageSec - dt) / params.periodSec)) e.vx = -e.vx;
+      e.x += e.vx * dt;
+      if (e.x < 0 || e.x + e.width > ctx.state.width) {
+        e.x = clamp(e.x, 0, ctx.state.width - e.width);
+        e.vx = -e.vx;
+      }
+    },
+    /** Drift in, then lock onto the player's position and dive at it. */
+    dive(e, params, dt, ctx) {
+      if (!e.diving && e.y >= ctx.state.height * params.triggerY) {
+        const { player } = ctx;
+        const dx = player.x + player.width / 2 - (e.x + e.width / 2);
+        const dy = player.y + player.height / 2 - (e.y + e.height / 2);
+        const len = Math.hypot(dx, dy) || 1;
+        e.diving = true;
+        e.vx = (dx / len) * params.speed;
+        e.vy = Math.max(params.speed * 0.35, (dy / len) * params.speed);
+      }
+      if (e.diving) {
+        e.x += e.vx * dt;
+        e.y += e.vy * dt;
+      } else {
+        e.y += ctx.speed * dt;
+      }
+    },
+    /** Descend to holdY, strafe side to side for holdSec, then leave downward. */
+    strafe(e, params, dt, ctx) {
+      const holdY = ctx.state.height * params.holdY;
+      if (e.holdSec === undefined) e.holdSec = params.holdSec;
+      if (e.y < holdY || e.holdSec <= 0) {
+        e.y += ctx.speed * dt;
+        return;
+      }
+      e.holdSec -= dt;
+      e.x += e.vx * dt;
+      if (e.x < 0 || e.x + e.width > ctx.state.width) {
+        e.x = clamp(e.x, 0, ctx.state.width - e.width);
+        e.vx = -e.vx;
+      }
+    },
+  };
+
+  /**
+   * Fire patterns: enemy `e` fires now. `ctx` carries { player, bulletSpeed,
+   * fire(e, angle, speed) }, where fire() spawns one bullet from the bottom
+   * center of `e`; `params` is the archetype's (or boss emitter's) fire entry.
+   */
+  const FIRE_PATTERNS = {
+    none() {},
+    /** One bullet at the player's current center. */
+    aimed(e, ctx) {
+      ctx.fire(e, angleToPlayer(e, ctx.player), ctx.bulletSpeed);
+    },
+    /** Three bullets fanned around the player's direction. */
+    spread(e, ctx) {
+      const angle = angleToPlayer(e, ctx.player);
+      for (const offset of [-0.3, 0, 0.3]) ctx.fire(e, angle + offset, ctx.bulletSpeed);
+    },
+    /** Straight down regardless of the player. */
+    down(e, ctx) {
+      ctx.fire(e, Math.PI / 2, ctx.bulletSpeed);
+    },
+    /** `count` bullets evenly across `arc` radians, centered on the player. */
+    fan(e, ctx, params) {
+      const angle = angleToPlayer(e, ctx.player);
+      const gap = params.count > 1 ? params.arc / (params.count - 1) : 0;
+      for (let i = 0; i < params.count; i++) ctx.fire(e, angle - params.arc / 2 + i * gap, ctx.bulletSpeed);
+    },
+    /** `count` bullets in a full circle, rotating by `spin` rad/s. */
+    ring(e, ctx, params) {
+      const start = e.ageSec * (params.spin || 0);
+      for (let i = 0; i < params.count; i++) ctx.fire(e, start + (i / params.count) * Math.PI * 2, ctx.bulletSpeed * 0.75);
+    },
+  };
+
+  function angleToPlayer(e, player) {
+    const dx = player.x + player.width / 2 - (e.x + e.width / 2);
+    const dy = player.y + player.height / 2 - (e.y + e.height);
+    return Math.atan2(dy, dx);
+  }
+
+  /**
+   * 4) Bosses
+   * One boss arrives at each difficulty step (cycling through this table in
+   * order) and pauses normal spawns until it is destroyed. Keyed by id:
+   * - name: shown on the health bar
+   * - sprite/tint/color/width/height/hitbox: as in ENEMY_TYPES
+   * - hp: at level 1; later levels add cfg.bossHpStep per level
+   * - score: bonus on defeat; drop: power-up it releases (random if null)
+   * - holdY: fraction of the height where it stops descending
+   * - phases: each starts once HP falls to `hpBelow` (fraction of max) and
+   *   sets the sweep speed and its `fire` emitters, FIRE_PATTERNS entries
+   *   with an `intervalScale` on cfg.enemyShootMinSec
+   */
+  const BOSS_TYPES = {
+    dreadnought: {
+      name: 'Dreadnought',
+      sprite: 'enemy',
+      tint: '#ff6b81',
+      color: '#ff4757',
+      width: 170,
+      height: 120,
+      hp: 60,
+      score: 5000,
+      drop: null,
+      holdY: 0.1,
+      hitbox: HITBOX_SHAPES.fighter,
+      phases: [
+        { hpBelow: 1, speedX: 70, fire: [{ pattern: 'spread', intervalScale: 1.1 }] },
+        { hpBelow: 0.6, speedX: 110, fire: [{ pattern: 'fan', count: 5, arc: 1, intervalScale: 0.9 }, { pattern: 'down', intervalScale: 0.5 }] },
+        { hpBelow: 0.25, speedX: 160, fire: [{ pattern: 'ring', count: 12, spin: 1.5, intervalScale: 0.8 }, { pattern: 'aimed', intervalScale: 0.4 }] },
+      ],
+    },
+    hive: {
+      name: 'Hive Queen',
+      sprite: 'enemy',
+      tint: '#a29bfe',
+      color: '#a29bfe',
+      width: 150,
+      height: 130,
+      hp: 75,
+      score: 6000,
+      drop: 'life',
+      holdY: 0.08,
+      hitbox: HITBOX_SHAPES.fighter,
+      phases: [
+        { hpBelow: 1, speedX: 50, fire: [{ pattern: 'ring', count: 10, spin: 0.8, intervalScale: 1.4 }] },
+        { hpBelow: 0.5, speedX: 90, fire: [{ pattern: 'ring', count: 14, spin: -1.2, intervalScale: 1 }, { pattern: 'spread', intervalScale: 0.9 }] },
+        { hpBelow: 0.2, speedX: 140, fire: [{ pattern: 'fan', count: 7, arc: 1.4, intervalScale: 0.6 }] },
+      ],
+    },
+  };
+
+  /**
+   * 5) Level Scripts
+   * A level is JSON describing timed waves. Positions and spacing are fractions
+   * of the logical width/height so the same script works in portrait and
+   * landscape. Negative y spawns above the top edge.
+   *
+   *   {
+   *     "name": "Outer Rim",
+   *     "waves": [
+   *       {
+   *         "name": "Scouts",            // optional banner subtitle
+   *         "delaySec": 2,               // pause after the previous wave is cleared
+   *         "checkpoint": true,          // game over offers a restart from here
+   *         "spawns": [
+   *           { "enemy": "grunt", "formation": "v", "count": 5, "x": 0.5, "y": -0.05, "spacing": 0.08 },
+   *           { "enemy": "weaver", "formation": "line", "count": 4, "x": 0.5, "spacing": 0.18, "atSec": 3, "interval": 0.3 },
+   *           { "enemy": "gunship", "x": 0.5, "drop": "shield" },
+   *           { "powerUp": "double", "x": 0.3, "atSec": 5 }
+   *         ]
+   *       }
+   *     ]
+   *   }
+   *
+   * Spawn fields: `enemy` (ENEMY_TYPES key) or `powerUp` (POWER_UP_TYPES key);
+   * `formation` (FORMATIONS key, default "single"); `count`; anchor `x`/`y`;
+   * `spacing` (fraction of width; circle radius uses the shorter side);
+   * `atSec` offset from wave start; `interval` between formation members;
+   * `drop` power-up released when that enemy is destroyed.
+   */
+
+  /**
+   * Formations: offsets in logical px for member `i` of `count`, relative to
+   * the anchor. `unit` is the spacing in px.
+   */
+  const FORMATIONS = {
+    single() {
+      return { dx: 0, dy: 0 };
+    },
+    /** Horizontal row centered on the anchor. */
+    line(i, count, unit) {
+      return { dx: (i - (count - 1) / 2) * unit, dy: 0 };
+    },
+    /** Leader at the anchor; wingmen alternate left/right, trailing upward. */
+    v(i, count, unit) {
+      const rank = Math.ceil(i / 2);
+      const side = i % 2 === 1 ? -1 : 1;
+      return { dx: side * rank * unit, dy: -rank * unit * 0.6 };
+    },
+    /** Ring around the anchor; `unit` is the radius. */
+    circle(i, count, unit) {
+      const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+      return { dx: Math.cos(angle) * unit, dy: Math.sin(angle) * unit };
+    },
+  };
+
+  /**
+   * Check a parsed level and fill in defaults. Throws an Error naming the
+   * offending path (e.g. "waves[2].spawns[0]: unknown enemy 'boss'").
+   * @returns {Object} a normalized copy
+   */
+  function validateLevel(data) {
+    const fail = (path, message) => { throw new Error(`${path}: ${message}`); };
+    const num = (value, fallback, path) => {
+      if (value === undefined) return fallback;
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+      return value;
+    };
+    if (!data || typeof data !== 'object') fail('level', 'must be an object');
+    if (!Array.isArray(data.waves) || data.waves.length === 0) fail('waves', 'must be a non-empty array');
+    const waves = data.waves.map((wave, w) => {
+      const wavePath = `waves[${w}]`;
+      if (!wave || !Array.isArray(wave.spawns) || wave.spawns.length === 0) fail(`${wavePath}.spawns`, 'must be a non-empty array');
+      const spawns = wave.spawns.map((spawn, k) => {
+        const path = `${wavePath}.spawns[${k}]`;
+        if (!spawn || typeof spawn !== 'object') fail(path, 'must be an object');
+        if (spawn.enemy !== undefined && !(spawn.enemy in ENEMY_TYPES)) fail(path, `unknown enemy '${spawn.enemy}'`);
+        if (spawn.powerUp !== undefined && !(spawn.powerUp in POWER_UP_TYPES)) fail(path, `unknown power-up '${spawn.powerUp}'`);
+        if ((spawn.enemy === undefined) === (spawn.powerUp === undefined)) fail(path, 'needs exactly one of enemy or powerUp');
+        if (spawn.drop !== undefined && !(spawn.drop in POWER_UP_TYPES)) fail(path, `unknown drop '${spawn.drop}'`);
+        const formation = spawn.formation === undefined ? 'single' : spawn.formation;
+        if (!(formation in FORMATIONS)) fail(path, `unknown formation '${formation}'`);
+        const count = num(spawn.count, 1, `${path}.count`);
+        if (!Number.isInteger(count) || count < 1) fail(`${path}.count`, 'must be a positive integer');
+        return {
+          enemy: spawn.enemy,
+          powerUp: spawn.powerUp,
+          drop: spawn.drop,
+          formation,
+          count,
+          x: num(spawn.x, 0.5, `${path}.x`),
+          y: num(spawn.y, -0.06, `${path}.y`),
+          spacing: num(spawn.spacing, 0.1, `${path}.spacing`),
+          atSec: num(spawn.atSec, 0, `${path}.atSec`),
+          interval: num(spawn.interval, 0, `${path}.interval`),
+        };
+      });
+      return {
+        name: typeof wave.name === 'string' ? wave.name : '',
+        delaySec: num(wave.delaySec, 2, `${wavePath}.delaySec`),
+        checkpoint: wave.checkpoint === true,
+        spawns,
+      };
+    });
+    return { name: typeof data.name === 'string' ? data.name : 'Stage', waves };
+  }
+
+  /**
+   * 6) Utilities
+   */
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function rectsOverlap(a, b) {
+    return (
+      a.x < b.x + b.width &&
+      a.x + a.width > b.x &&
+      a.y < b.y + b.height &&
+      a.y + a.height > b.y
+    );
+  }
+
+  /** Whether the circle of radius `r` around (cx, cy) reaches into `box` ({ x, y, width, height }). */
+  function circleReachesRect(cx, cy, r, box) {
+    const dx = cx - clamp(cx, box.x, box.x + box.width);
+    const dy = cy - clamp(cy, box.y, box.y + box.height);
+    return dx * dx + dy * dy <= r * r;
+  }
+
+  /**
+   * Whether boxes `a` and `b` ({ x, y, width, height }) collide through their
+   * shapes (see HITBOX_SHAPES; null = the whole box). Boxes that don't overlap
+   * never collide, and touching edges count as apart, as in rectsOverlap.
+   */
+  function shapesOverlap(a, shapeA, b, shapeB) {
+    if (!rectsOverlap(a, b)) return false;
+    if (isWholeBox(shapeA) && isWholeBox(shapeB)) return true;
+    if (shapeA && shapeA.kind === 'mask') return maskOverlaps(a, shapeA, b, shapeB);
+    if (shapeB && shapeB.kind === 'mask') return maskOverlaps(b, shapeB, a, shapeA);
+    placeHull(a, shapeA, hullA);
+    placeHull(b, shapeB, hullB);
+    return hullsOverlap(hullA, hullB);
+  }
+
+  function isWholeBox(shape) {
+    return !shape || (shape.kind === 'rect' && shape.x === undefined && shape.y === undefined && shape.width === undefined && shape.height === undefined);
+  }
+
+  /**
+   * Every shape but a mask is a convex hull of 1 (circle), 2 (capsule) or
+   * more points (rect, polygon), rounded by `radius`. Two scratch hulls are
+   * reused so collision tests allocate nothing.
+   */
+  function createHull() {
+    return { count: 0, radius: 0, points: new Float64Array(MAX_HITBOX_POINTS * 2) };
+  }
+  const hullA = createHull();
+  const hullB = createHull();
+  const cellBox = { x: 0, y: 0, width: 0, height: 0 }; // one mask cell in world coordinates
+
+  /** Write `shape` placed on `box` into `hull` in world coordinates. */
+  function placeHull(box, shape, hull) {
+    const { x, y, width, height } = box;
+    const pts = hull.points;
+    hull.radius = 0;
+    if (!shape || shape.kind === 'rect') {
+      const x0 = x + (shape && shape.x !== undefined ? shape.x : 0) * width;
+      const y0 = y + (shape && shape.y !== undefined ? shape.y : 0) * height;
+      const x1 = x0 + (shape && shape.width !== undefined ? shape.width : 1) * width;
+      const y1 = y0 + (shape && shape.height !== undefined ? shape.height : 1) * height;
+      pts[0] = x0; pts[1] = y0;
+      pts[2] = x1; pts[3] = y0;
+      pts[4] = x1; pts[5] = y1;
+      pts[6] = x0; pts[7] = y1;
+      hull.count = 4;
+    } else if (shape.kind === 'circle') {
+      pts[0] = x + shape.x * width;
+      pts[1] = y + shape.y * height;
+      hull.count = 1;
+      hull.radius = shape.r * width;
+    } else if (shape.kind === 'capsule') {
+      pts[0] = x + shape.x1 * width;
+      pts[1] = y + shape.y1 * height;
+      pts[2] = x + shape.x2 * width;
+      pts[3] = y + shape.y2 * height;
+      hull.count = 2;
+      hull.radius = shape.r * width;
+    } else {
+      const { points } = shape;
+      for (let i = 0; i < points.length; i++) {
+        pts[i * 2] = x + points[i][0] * width;
+        pts[i * 2 + 1] = y + points[i][1] * height;
+      }
+      hull.count = points.length;
+    }
+  }
+
+  /**
+   * Hulls overlap when their cores intersect (separating-axis test over the
+   * edge normals; a lone point has no area to intersect) or come closer than
+   * their radii combined.
+   */
+  function hullsOverlap(a, b) {
+    if ((a.count > 1 || b.count > 1) && !hasSeparatingAxis(a, b) && !hasSeparatingAxis(b, a)) return true;
+    const reach = a.radius + b.radius;
+    return reach > 0 && hullDistanceSq(a, b) < reach * reach;
+  }
+
+  /** Whether a normal of one of `edges`' sides keeps the two hulls apart (touching counts as apart). */
+  function hasSeparatingAxis(edges, other) {
+    if (edges.count < 2) return false;
+    const sides = edges.count === 2 ? 1 : edges.count;
+    const pts = edges.points;
+    for (let i = 0; i < sides; i++) {
+      const j = (i + 1) % edges.count;
+      const nx = pts[i * 2 + 1] - pts[j * 2 + 1];
+      const ny = pts[j * 2] - pts[i * 2];
+      projectHull(edges, nx, ny, spanA);
+      projectHull(other, nx, ny, spanB);
+      if (spanA[1] <= spanB[0] || spanB[1] <= spanA[0]) return true;
+    }
+    return false;
+  }
+
+  const spanA = [0, 0];
+  const spanB = [0, 0];
+  /** Write [min, max] of `hull`'s points along (nx, ny) into `span`. */
+  function projectHull(hull, nx, ny, span) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < hull.count; i++) {
+      const d = hull.points[i * 2] * nx + hull.points[i * 2 + 1] * ny;
+      if (d < min) min = d;
+      if (d > max) max = d;
+    }
+    span[0] = min;
+    span[1] = max;
+  }
+
+  /** Squared distance between the cores of two hulls that don't intersect. */
+  function hullDistanceSq(a, b) {
+    return Math.min(pointsToEdgesSq(a, b), pointsToEdgesSq(b, a));
+  }
+
+  /** Smallest squared distance from a point of `from` to a side (or the point/segment) of `to`. */
+  function pointsToEdgesSq(from, to) {
+    const sides = to.count <= 2 ? 1 : to.count;
+    let best = Infinity;
+    for (let p = 0; p < from.count; p++) {
+      const px = from.points[p * 2];
+      const py = from.points[p * 2 + 1];
+      for (let i = 0; i < sides; i++) {
+        const j = (i + 1) % to.count;
+        best = Math.min(best, segmentDistanceSq(px, py, to.points[i * 2], to.points[i * 2 + 1], to.points[j * 2], to.points[j * 2 + 1]));
+      }
+    }
+    return best;
+  }
+
+  /** Squared distance from (px, py) to the segment (ax, ay)-(bx, by). */
+  function segmentDistanceSq(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? clamp(((px - ax) * dx + (py - ay) * dy) / lengthSq, 0, 1) : 0;
+    const ex = ax + t * dx - px;
+    const ey = ay + t * dy - py;
+    return ex * ex + ey * ey;
+  }
+
+  /**
+   * Mask on box `m` against `other`: any solid cell inside the other box
+   * that touches its shape (cell centers are sampled against another mask).
+   */
+  function maskOverlaps(m, mask, other, otherShape) {
+    const cellW = m.width / mask.cols;
+    const cellH = m.height / mask.rows;
+    const c0 = Math.max(0, Math.floor((other.x - m.x) / cellW));
+    const c1 = Math.min(mask.cols - 1, Math.floor((other.x + other.width - m.x) / cellW));
+    const r0 = Math.max(0, Math.floor((other.y - m.y) / cellH));
+    const r1 = Math.min(mask.rows - 1, Math.floor((other.y + other.height - m.y) / cellH));
+    const otherMask = otherShape && otherShape.kind === 'mask' ? otherShape : null;
+    if (!otherMask) placeHull(other, otherShape, hullB);
+    cellBox.width = cellW;
+    cellBox.height = cellH;
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        if (!mask.bits[row * mask.cols + col]) continue;
+        cellBox.x = m.x + col * cellW;
+        cellBox.y = m.y + row * cellH;
+        if (otherMask) {
+          if (maskSolidAt(other, otherMask, cellBox.x + cellW / 2, cellBox.y + cellH / 2)) return true;
+        } else if (rectsOverlap(cellBox, other)) {
+          placeHull(cellBox, null, hullA);
+          if (hullsOverlap(hullA, hullB)) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /** Whether world point (x, y) falls on a solid cell of `mask` placed on `box`. */
+  function maskSolidAt(box, mask, x, y) {
+    const col = Math.floor(((x - box.x) / box.width) * mask.cols);
+    const row = Math.floor(((y - box.y) / box.height) * mask.rows);
+    if (col < 0 || row < 0 || col >= mask.cols || row >= mask.rows) return false;
+    return mask.bits[row * mask.cols + col] === 1;
+  }
+
+  /**
+   * Mask hitbox from image pixels: an ImageData, or any { data, width, height }
+   * with RGBA bytes. Pixels whose alpha reaches `threshold` are solid. Like
+   * every shape it stretches to the box it is used with.
+   * @returns {Hitbox}
+   */
+  function createHitMask({ data, width, height }, threshold = 128) {
+    const bits = new Uint8Array(width * height);
+    for (let i = 0; i < bits.length; i++) bits[i] = data[i * 4 + 3] >= threshold ? 1 : 0;
+    return { kind: 'mask', cols: width, rows: height, bits };
+  }
+
+  /**
+   * Check a hitbox shape. Throws an Error describing the problem (e.g.
+   * "polygon: must be convex").
+   * @returns {Hitbox} the same shape
+   */
+  function validateHitbox(shape) {
+    const fail = (message) => { throw new Error(`${shape && shape.kind}: ${message}`); };
+    const inBox = (...values) => values.every((v) => typeof v === 'number' && v >= 0 && v <= 1);
+    if (!shape || typeof shape !== 'object') throw new Error('hitbox: must be an object');
+    switch (shape.kind) {
+      case 'rect': {
+        const { x = 0, y = 0, width = 1, height = 1 } = shape;
+        if (!inBox(x, y, x + width, y + height) || width <= 0 || height <= 0) fail('must be a non-empty part of the box');
+        break;
+      }
+      case 'circle':
+        if (!inBox(shape.x, shape.y) || !(shape.r > 0)) fail('needs a center in the box and a positive radius');
+        break;
+      case 'capsule':
+        if (!inBox(shape.x1, shape.y1, shape.x2, shape.y2) || !(shape.r > 0)) fail('needs ends in the box and a positive radius');
+        break;
+      case 'polygon': {
+        const { points } = shape;
+        if (!Array.isArray(points) || points.length < 3 || points.length > MAX_HITBOX_POINTS) fail(`needs 3 to ${MAX_HITBOX_POINTS} points`);
+        if (!points.every((p) => Array.isArray(p) && inBox(p[0], p[1]))) fail('points must be [x, y] fractions of the box');
+        let sign = 0;
+        points.forEach(([ax, ay], i) => {
+          const [bx, by] = points[(i + 1) % points.length];
+          const [cx, cy] = points[(i + 2) % points.length];
+          const turn = Math.sign((bx - ax) * (cy - by) - (by - ay) * (cx - bx));
+          if (turn !== 0 && sign !== 0 && turn !== sign) fail('must be convex');
+          if (turn !== 0) sign = turn;
+        });
+        break;
+      }
+      case 'mask':
+        if (!(Number.isInteger(shape.cols) && shape.cols > 0 && Number.isInteger(shape.rows) && shape.rows > 0)) fail('needs a positive cols x rows grid');
+        if (!shape.bits || shape.bits.length !== shape.cols * shape.rows) fail('needs one bit per cell');
+        break;
+      default:
+        throw new Error(`hitbox: unknown kind '${shape.kind}'`);
+    }
+    return shape;
+  }
+
+  /**
+   * Free list for short-lived entities. Live entities stay in a plain array
+   * (renderers iterate it as before); remove() swap-removes in O(1), which
+   * reorders the array, so loops that remove while iterating must walk it
+   * backwards. Released objects are handed out again by acquire(), so callers
+   * must reassign every field and must not keep references past removal.
+   */
+  function createPool() {
+    const free = [];
+    return {
+      acquire() {
+        return free.pop() || {};
+      },
+      /** Remove `list[index]` by moving the last element into its slot. */
+      remove(list, index) {
+        if (index < 0 || index >= list.length) throw new RangeError(`Pool index ${index} out of range`);
+        const item = list[index];
+        const last = list.pop();
+        if (index < list.length) list[index] = last;
+        free.push(item);
+      },
+      /** Release every element of `list` and empty it. */
+      clear(list) {
+        for (const item of list) free.push(item);
+        list.length = 0;
+      },
+    };
+  }
+
+  /**
+   * Uniform-grid spatial hash over { x, y, width, height } rects covering a
+   * width x height field. An item is filed under every cell it touches; items
+   * past the edges land in the border cells, so nothing is ever missed. Cell
+   * arrays are kept between clear() calls, so rebuilding the grid every step
+   * allocates nothing once warmed up.
+   */
+  function createSpatialHash(cellSize) {
+    const cells = [];
+    let cols = 0;
+    let rows = 0;
+
+    function col(x) {
+      return clamp(Math.floor(x / cellSize), 0, cols - 1);
+    }
+
+    function row(y) {
+      return clamp(Math.floor(y / cellSize), 0, rows - 1);
+    }
+
+    return {
+      /** Empty the grid and size it for a width x height field. */
+      clear(width, height) {
+        cols = Math.max(1, Math.ceil(width / cellSize));
+        rows = Math.max(1, Math.ceil(height / cellSize));
+        while (cells.length < cols * rows) cells.push([]);
+        for (const cell of cells) cell.length = 0;
+      },
+      insert(item) {
+        const x0 = col(item.x);
+        const x1 = col(item.x + item.width);
+        const y1 = row(item.y + item.height);
+        for (let cy = row(item.y); cy <= y1; cy++) {
+          for (let cx = x0; cx <= x1; cx++) cells[cy * cols + cx].push(item);
+        }
+      },
+      /**
+       * First item overlapping `rect` that `accept` (if given) allows, or null.
+       * Cells are visited row by row in insertion order, so results are
+       * deterministic.
+       */
+      find(rect, accept) {
+        const x0 = col(rect.x);
+        const x1 = col(rect.x + rect.width);
+        const y1 = row(rect.y + rect.height);
+        for (let cy = row(rect.y); cy <= y1; cy++) {
+          for (let cx = x0; cx <= x1; cx++) {
+            for (const item of cells[cy * cols + cx]) {
+              if (rectsOverlap(rect, item) && (!accept || accept(item))) return item;
+            }
+          }
+        }
+        return null;
+      },
+    };
+  }
+
+  /**
+   * Small seeded PRNG (mulberry32). Returns a function yielding floats in [0, 1);
+   * its getState() and setState(value) save and restore the place in the sequence.
+   */
+  function createRng(seed) {
+    let state = seed >>> 0;
+    function next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    next.getState = () => state;
+    next.setState = (value) => {
+      state = value >>> 0;
+    };
+    return next;
+  }
+
+  /** FNV-1a hash of `text` as an unsigned 32-bit integer. */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /** Run seed shared by everyone playing the daily challenge of `date` ('YYYY-MM-DD'). */
+  function dailySeed(date) {
+    return hashString(`daily:${date}`);
+  }
+
+  const DAILY_CODE_PATTERN = /^SS-(\d{4})(\d{2})(\d{2})-(\d+)-([0-9A-Z]{5})$/;
+
+  /**
+   * Shareable daily result code: 'SS-YYYYMMDD-score-CHECK'. The checksum catches
+   * typos and hand-edited scores; it is not a defense against a modified game.
+   */
+  function encodeDailyResult(date, score) {
+    return `SS-${date.replace(/-/g, '')}-${score}-${dailyChecksum(date, score)}`;
+  }
+
+  /** { date, score } from a result code, or null when it is malformed or fails its checksum. */
+  function decodeDailyResult(code) {
+    const match = DAILY_CODE_PATTERN.exec(String(code).trim().toUpperCase());
+    if (!match) return null;
+    const [, year, month, day, digits, check] = match;
+    const date = `${year}-${month}-${day}`;
+    const score = Number(digits);
+    if (!Number.isSafeInteger(score) || dailyChecksum(date, score) !== check) return null;
+    return { date, score };
+  }
+
+  function dailyChecksum(date, score) {
+    return hashString(`${date}:${score}`).toString(36).toUpperCase().padStart(7, '0').slice(-5);
+  }
+
+  /**
+   * 7) Game Factory
+   * Create an independent game. All randomness comes from `config.seed`, so the
+   * same seed and the same sequence of step(dt, input) calls give the same run.
+   */
+  function createGame(config = {}) {
+    const cfg = { ...DEFAULT_CONFIG, ...config };
+    if (cfg.hitboxes) Object.values(cfg.hitboxes).forEach(validateHitbox);
+    const random = createRng(cfg.seed);
+
+    /** Inclusive-exclusive random float in [min, max). */
+    function randomRange(min, max) {
+      return min + random() * (max - min);
+    }
+
+    const state = {
+      seed: cfg.seed,
+      width: cfg.width,
+      height: cfg.height,
+      status: 'playing', // 'playing' | 'gameover'
+      timeSec: 0, // simulation clock
+      score: 0, // team total
+      lives: cfg.maxLives + cfg.extraLives, // shared by all players
+      /** @type {Player[]} one ship per player */
+      players: [],
+      /** @type {Player} player 1's ship (the only one outside co-op) */
+      player: null,
+      /** @type {Enemy[]} */
+      enemies: [],
+      /** @type {Boss|null} while set, normal spawns (random and scripted) are paused */
+      boss: null,
+      /** @type {PlayerBullet[]} */
+      bullets: [],
+      /** @type {Particle[]} */
+      particles: [],
+      /** @type {PowerUp[]} */
+      powerUps: [],
+      /** @type {EnemyBullet[]} */
+      enemyBullets: [],
+      /** @type {Shockwave[]} bombs still expanding */
+      shockwaves: [],
+      nextBombScore: cfg.bombMilestonePoints, // team score at which every ship gains a bomb
+      enemySpawnTimerSec: randomRange(cfg.enemySpawnMinSec, cfg.enemySpawnMaxSec),
+      powerUpSpawnTimerSec: randomRange(cfg.powerUpSpawnMinSec, cfg.powerUpSpawnMaxSec),
+      difficultyElapsedSec: 0,
+      difficultyLevel: cfg.startLevel,
+      enemySpeedMultiplier: 1 + cfg.startLevel * cfg.difficultySpeedStep,
+      godMode: Boolean(cfg.godMode),
+      /**
+       * Scripted campaign progress; null once in endless mode (random spawner).
+       * phase: 'waiting' (delay before next wave) | 'wave' | 'stageClear'
+       */
+      campaign: null,
+      /** @type {RunStats} */
+      stats: {
+        shotsFired: 0,
+        shotsHit: 0,
+        kills: {},
+        bosses: {},
+        powerUps: {},
+        livesLost: { collision: 0, enemyBullet: 0, escape: 0 },
+        damage: [],
+        grazes: 0,
+        bombs: 0,
+        bombBullets: 0,
+        bestMultiplier: 1,
+        scoreSamples: [0],
+      },
+    };
+    const { stats } = state;
+    const playerCount = cfg.players === 2 ? 2 : 1;
+
+    /** Spawn column of player `index`: centered alone, or at thirds in co-op. */
+    function playerSpawnX(index) {
+      return (state.width * (index + 1)) / (playerCount + 1) - 18;
+    }
+
+    /** @returns {Player} */
+    function createPlayer(index) {
+      const width = 36;
+      return {
+        index,
+        x: playerSpawnX(index),
+        y: cfg.height - 70,
+        width,
+        height: 46,
+        color: PLAYER_COLORS[index],
+        cooldownSec: 0,
+        cooldownScale: 1, // < 1 fires faster (rapid fire)
+        shield: cfg.startShield, // absorbs the next hit (shield power-up)
+        invulnerableSec: cfg.spawnInvulnerabilitySec,
+        score: 0,
+        /** @type {Object<string, ActivePowerUp>} timed power-ups in effect for this ship, by type */
+        activePowerUps: {},
+        alive: true,
+        respawnSec: 0,
+        comboKills: 0,
+        comboSec: 0, // time left to extend the combo
+        multiplier: 1,
+        bombs: cfg.canShoot ? Math.min(cfg.bombStock, cfg.maxBombs) : 0,
+        bombPressed: false,
+        hitbox: HITBOX_SHAPES.ship,
+        core: cfg.playerCoreRadius > 0 ? { kind: 'circle', x: 0.5, y: 0.5, r: cfg.playerCoreRadius / width } : null,
+      };
+    }
+
+    for (let i = 0; i < playerCount; i++) state.players.push(createPlayer(i));
+    state.player = state.players[0];
+    const { players } = state;
+
+    /** Nearest living ship to the center of `e` (enemy aim and dives); player 1 if all are down. */
+    function nearestPlayer(e) {
+      if (playerCount === 1) return players[0];
+      const cx = e.x + e.width / 2;
+      const cy = e.y + e.height / 2;
+      let nearest = null;
+      let best = Infinity;
+      for (const p of players) {
+        if (!p.alive) continue;
+        const d = (p.x + p.width / 2 - cx) ** 2 + (p.y + p.height / 2 - cy) ** 2;
+        if (d < best) {
+          best = d;
+          nearest = p;
+        }
+      }
+      return nearest || players[0];
+    }
+
+    /** Add `points` to the team score and, when known, to the scoring player's. */
+    function awardScore(points, owner) {
+      state.score += points;
+      if (owner !== undefined) players[owner].score += points;
+    }
+
+    /**
+     * Score a kill worth `points` for player `owner` at their combo multiplier,
+     * then extend the combo (raising comboUp when the multiplier grows).
+     * @returns {number} points actually awarded
+     */
+    function scoreKill(points, owner) {
+      const p = players[owner];
+      if (!p) {
+        awardScore(points);
+        return points;
+      }
+      const awarded = points * p.multiplier;
+      awardScore(awarded, owner);
+      p.comboKills += 1;
+      p.comboSec = cfg.comboWindowSec;
+      const multiplier = Math.min(cfg.comboMaxMultiplier, 1 + Math.floor(p.comboKills / cfg.comboKillsPerStep));
+      if (multiplier > p.multiplier) {
+        p.multiplier = multiplier;
+        stats.bestMultiplier = Math.max(stats.bestMultiplier, multiplier);
+        emit('comboUp', { player: owner, multiplier, kills: p.comboKills });
+      }
+      return awarded;
+    }
+
+    /** End ship `p`'s combo (timed out or hit), raising comboEnd if one was running. */
+    function endCombo(p) {
+      if (p.comboKills === 0) return;
+      emit('comboEnd', { player: p.index, kills: p.comboKills, multiplier: p.multiplier });
+      p.comboKills = 0;
+      p.comboSec = 0;
+      p.multiplier = 1;
+    }
+
+    // Entity pools and per-step collision grids (see createPool/createSpatialHash)
+    const pools = {
+      enemies: createPool(),
+      bullets: createPool(),
+      enemyBullets: createPool(),
+      powerUps: createPool(),
+      particles: createPool(),
+    };
+    const enemyGrid = createSpatialHash(cfg.collisionCellSize);
+    const enemyBulletGrid = createSpatialHash(cfg.collisionCellSize);
+    const pickupRect = { x: 0, y: 0, width: 0, height: 0 }; // reused power-up hitbox
+    const grazeRect = { x: 0, y: 0, width: 0, height: 0 }; // reused ship-plus-margin area
+
+    /** What grid queries test their candidates' hitboxes against (the box they search with, and its shape). */
+    const probe = { box: null, shape: null };
+    function touchesProbe(item) {
+      return shapesOverlap(probe.box, probe.shape, item, item.hitbox);
+    }
+
+    /** Grid filter: enemies destroyed earlier in the step no longer collide; live ones must touch the probe. */
+    function isAliveAndTouching(e) {
+      return e.hp > 0 && touchesProbe(e);
+    }
+
+    /** Grid filter: enemy bullets that already hit a ship this step are gone; live ones must touch the probe. */
+    function isLiveAndTouching(b) {
+      return !b.dead && touchesProbe(b);
+    }
+
+    /** Grid filter: each enemy bullet pays one graze bonus at most. */
+    function isUngrazed(b) {
+      return !b.grazed && !b.dead;
+    }
+
+    /** @type {GameEvent[]} events raised since the last step returned (e.g. stageStart at creation) */
+    let events = [];
+    function emit(type, data) {
+      events.push({ type, ...data });
+    }
+
+    function flushEvents() {
+      const raised = events;
+      events = [];
+      return raised;
+    }
+
+    /** Collision shape of an enemy or boss `type`: the config's override, else its definition's. */
+    function hitboxOf(type, def) {
+      return (cfg.hitboxes && cfg.hitboxes[type]) || def.hitbox || null;
+    }
+
+    /** Pick an enemy type unlocked at the current difficulty, weighted by ENEMY_TYPES[type].weight. */
+    function pickEnemyType() {
+      const types = Object.keys(ENEMY_TYPES).filter((type) => ENEMY_TYPES[type].minLevel <= state.difficultyLevel);
+      const total = types.reduce((sum, type) => sum + ENEMY_TYPES[type].weight, 0);
+      let roll = random() * total;
+      for (const type of types) {
+        roll -= ENEMY_TYPES[type].weight;
+        if (roll < 0) return type;
+      }
+      return types[types.length - 1];
+    }
+
+    /** Fire-interval multiplier: everything shoots slightly faster with difficulty. */
+    function fireIntervalFactor() {
+      return Math.max(0.6, 1 - state.difficultyLevel * 0.06);
+    }
+
+    /** Seconds until an enemy of `def` fires again. */
+    function enemyFireDelay(def) {
+      const factor = fireIntervalFactor() * (def.fire.intervalScale || 1);
+      return randomRange(cfg.enemyShootMinSec * factor, cfg.enemyShootMaxSec * factor);
+    }
+
+    /** Seconds between shots of a boss emitter (fixed rhythm, no jitter). */
+    function bossFireDelay(emitter) {
+      return cfg.enemyShootMinSec * fireIntervalFactor() * (emitter.intervalScale || 1);
+    }
+
+    /**
+     * Spawn an enemy of `type` (weighted-random if omitted) at (x, y); by
+     * default at a random X just above the top edge.
+     * @returns {Enemy}
+     */
+    function spawnEnemy(type = pickEnemyType(), x, y) {
+      const def = ENEMY_TYPES[type];
+      const { width, height } = def;
+      const margin = def.movement.pattern === 'sine' ? def.movement.amplitude : 0;
+      const spawnX = x !== undefined ? x : margin + random() * Math.max(0, state.width - width - margin * 2);
+      const spawnY = y !== undefined ? y : -height - 4;
+      const vy = (cfg.enemyMinSpeed + random() * (cfg.enemyMaxSpeed - cfg.enemyMinSpeed)) * def.speedScale;
+      const speedX = def.movement.speedX || 0;
+      /** @type {Enemy} */
+      const enemy = pools.enemies.acquire();
+      enemy.type = type;
+      enemy.x = spawnX;
+      enemy.y = spawnY;
+      enemy.width = width;
+      enemy.height = height;
+      enemy.vx = random() < 0.5 ? -speedX : speedX;
+      enemy.vy = vy;
+      enemy.hp = def.hp;
+      enemy.maxHp = def.hp;
+      enemy.ageSec = 0;
+      enemy.hitFlashSec = 0;
+      enemy.shootTimerSec = def.fire.pattern === 'none' ? 0 : enemyFireDelay(def);
+      enemy.hitbox = hitboxOf(type, def);
+      enemy.baseX = spawnX;
+      enemy.phase = random() * Math.PI * 2;
+      // Per-instance extras a recycled enemy may still carry
+      enemy.wave = undefined;
+      enemy.drop = undefined;
+      enemy.diving = false;
+      enemy.holdSec = undefined;
+      enemy.bombWave = 0;
+      state.enemies.push(enemy);
+      return enemy;
+    }
+
+    /**
+     * Spawn a boss of `type` (by default the next in BOSS_TYPES order for the
+     * current level) centered above the top edge.
+     * @returns {Boss}
+     */
+    function spawnBoss(type) {
+      const level = Math.max(1, state.difficultyLevel);
+      const types = Object.keys(BOSS_TYPES);
+      const bossType = type || types[(level - 1) % types.length];
+      const def = BOSS_TYPES[bossType];
+      const maxHp = Math.round(def.hp * (1 + (level - 1) * cfg.bossHpStep));
+      const firstPhase = def.phases[0];
+      state.boss = {
+        type: bossType,
+        x: state.width / 2 - def.width / 2,
+        y: -def.height,
+        width: def.width,
+        height: def.height,
+        vx: firstPhase.speedX,
+        hp: maxHp,
+        maxHp,
+        phaseIndex: 0,
+        ageSec: 0,
+        hitFlashSec: 0,
+        fireTimersSec: firstPhase.fire.map(bossFireDelay),
+        bombWave: 0,
+        hitbox: hitboxOf(bossType, def),
+      };
+      emit('bossSpawn', { bossType, name: def.name, level });
+      return state.boss;
+    }
+
+    /** Descend to the holding line, then sweep and fire the current phase's emitters. */
+    function updateBoss(dt, fireContext) {
+      const boss = state.boss;
+      const def = BOSS_TYPES[boss.type];
+      boss.ageSec += dt;
+      if (boss.hitFlashSec > 0) boss.hitFlashSec = Math.max(0, boss.hitFlashSec - dt);
+      const holdY = state.height * def.holdY;
+      if (boss.y < holdY) {
+        boss.y = Math.min(holdY, boss.y + cfg.bossEntrySpeed * dt);
+        return;
+      }
+      boss.x += boss.vx * dt;
+      if (boss.x < 0 || boss.x + boss.width > state.width) {
+        boss.x = clamp(boss.x, 0, state.width - boss.width);
+        boss.vx = -boss.vx;
+      }
+      def.phases[boss.phaseIndex].fire.forEach((emitter, k) => {
+        boss.fireTimersSec[k] -= dt;
+        if (boss.fireTimersSec[k] > 0) return;
+        fireContext.player = nearestPlayer(boss);
+        FIRE_PATTERNS[emitter.pattern](boss, fireContext, emitter);
+        boss.fireTimersSec[k] = bossFireDelay(emitter);
+      });
+    }
+
+    /**
+     * Apply `damage` from player `owner` to the boss, switching phase at HP
+     * thresholds; defeats it at 0 HP.
+     */
+    function damageBoss(damage, owner) {
+      const boss = state.boss;
+      const def = BOSS_TYPES[boss.type];
+      boss.hp -= damage;
+      if (boss.hp <= 0) {
+        defeatBoss(owner);
+        return;
+      }
+      boss.hitFlashSec = cfg.enemyHitFlashSec;
+      emit('bossHit', { bossType: boss.type, hp: boss.hp, maxHp: boss.maxHp });
+      let next = boss.phaseIndex;
+      while (next + 1 < def.phases.length && boss.hp <= def.phases[next + 1].hpBelow * boss.maxHp) next += 1;
+      if (next === boss.phaseIndex) return;
+      const phase = def.phases[next];
+      boss.phaseIndex = next;
+      boss.vx = (boss.vx < 0 ? -1 : 1) * phase.speedX;
+      boss.fireTimersSec = phase.fire.map(bossFireDelay);
+      emit('bossPhase', { bossType: boss.type, phase: next });
+    }
+
+    /** Big multi-burst explosion, score bonus (to `owner`, the final blow) and a guaranteed power-up. */
+    function defeatBoss(owner) {
+      const boss = state.boss;
+      const def = BOSS_TYPES[boss.type];
+      const cx = boss.x + boss.width / 2;
+      const cy = boss.y + boss.height / 2;
+      emitExplosion(cx, cy, def.color, 80);
+      for (let i = 0; i < 8; i++) {
+        emitExplosion(boss.x + random() * boss.width, boss.y + random() * boss.height, i % 2 === 0 ? '#ffd166' : def.color, 24);
+      }
+      state.boss = null;
+      const points = scoreKill(def.score, owner);
+      stats.bosses[boss.type] = (stats.bosses[boss.type] || 0) + 1;
+      spawnPowerUp(def.drop || pickPowerUpType(), cx, cy);
+      emit('bossDefeated', { bossType: boss.type, x: cx, y: cy, points, player: owner });
+    }
+
+    /** Enter the campaign at `stageIndex`, waiting to start `waveIndex`. */
+    function startStage(stageIndex, waveIndex = 0) {
+      const level = cfg.levels[stageIndex];
+      state.campaign = {
+        stageIndex,
+        stageCount: cfg.levels.length,
+        name: level.name,
+        waveIndex: waveIndex - 1, // current wave; advanced when the delay runs out
+        waveCount: level.waves.length,
+        phase: 'waiting',
+        timerSec: level.waves[waveIndex].delaySec,
+        queue: [], // scheduled spawns of the current wave: { atSec, spawn, index }
+        waveElapsedSec: 0,
+        checkpoint: null, // { stage, wave } of the last checkpoint reached
+      };
+      emit('stageStart', { stage: stageIndex, name: level.name });
+    }
+
+    /** Expand the wave's spawn entries into individually timed members. */
+    function startWave(waveIndex) {
+      const camp = state.campaign;
+      const wave = cfg.levels[camp.stageIndex].waves[waveIndex];
+      camp.waveIndex = waveIndex;
+      camp.phase = 'wave';
+      camp.waveElapsedSec = 0;
+      camp.queue = [];
+      for (const spawn of wave.spawns) {
+        for (let i = 0; i < spawn.count; i++) camp.queue.push({ atSec: spawn.atSec + i * spawn.interval, spawn, index: i });
+      }
+      camp.queue.sort((a, b) => a.atSec - b.atSec);
+      if (wave.checkpoint) camp.checkpoint = { stage: camp.stageIndex, wave: waveIndex };
+      emit('waveStart', { stage: camp.stageIndex, wave: waveIndex, waveCount: camp.waveCount, name: wave.name });
+    }
+
+    /** Place one scripted member, converting fractional anchors to logical px. */
+    function spawnScripted({ spawn, index }) {
+      const offset = FORMATIONS[spawn.formation](index, spawn.count, spawn.formation === 'circle'
+        ? spawn.spacing * Math.min(state.width, state.height)
+        : spawn.spacing * state.width);
+      const cx = spawn.x * state.width + offset.dx;
+      const cy = spawn.y * state.height + offset.dy;
+      if (spawn.powerUp) {
+        spawnPowerUp(spawn.powerUp, cx, cy);
+        return;
+      }
+      const def = ENEMY_TYPES[spawn.enemy];
+      const enemy = spawnEnemy(spawn.enemy, cx - def.width / 2, cy - def.height / 2);
+      enemy.wave = state.campaign.waveIndex;
+      if (spawn.drop) enemy.drop = spawn.drop;
+    }
+
+    /** Advance the campaign script: wave delays, timed spawns, stage clears. */
+    function updateCampaign(dt) {
+      const camp = state.campaign;
+      if (camp.phase === 'waiting') {
+        camp.timerSec -= dt;
+        if (camp.timerSec <= 0) startWave(camp.waveIndex + 1);
+        return;
+      }
+      if (camp.phase === 'stageClear') {
+        camp.timerSec -= dt;
+        if (camp.timerSec > 0) return;
+        if (camp.stageIndex + 1 < cfg.levels.length) {
+          startStage(camp.stageIndex + 1);
+        } else {
+          // Campaign finished: the random spawner takes over
+          state.campaign = null;
+          emit('endless');
+        }
+        return;
+      }
+      camp.waveElapsedSec += dt;
+      while (camp.queue.length > 0 && camp.queue[0].atSec <= camp.waveElapsedSec) {
+        spawnScripted(camp.queue.shift());
+      }
+      const waveAlive = state.enemies.some((e) => e.wave === camp.waveIndex);
+      if (camp.queue.length > 0 || waveAlive) return;
+      if (camp.waveIndex + 1 < camp.waveCount) {
+        camp.phase = 'waiting';
+        camp.timerSec = cfg.levels[camp.stageIndex].waves[camp.waveIndex + 1].delaySec;
+        return;
+      }
+      camp.phase = 'stageClear';
+      camp.timerSec = cfg.stageClearSec;
+      emit('stageClear', { stage: camp.stageIndex, name: camp.name, score: state.score, last: camp.stageIndex + 1 === cfg.levels.length });
+    }
+
+    /** Pick a power-up type at random, weighted by POWER_UP_TYPES[type].weight. */
+    function pickPowerUpType() {
+      const types = Object.keys(POWER_UP_TYPES);
+      const total = types.reduce((sum, type) => sum + POWER_UP_TYPES[type].weight, 0);
+      let roll = random() * total;
+      for (const type of types) {
+        roll -= POWER_UP_TYPES[type].weight;
+        if (roll < 0) return type;
+      }
+      return types[types.length - 1];
+    }
+
+    /**
+     * Spawn a power-up orb of `type` (weighted-random if omitted) centered on
+     * (cx, cy); by default at a random X just above the top edge.
+     */
+    function spawnPowerUp(type = pickPowerUpType(), cx, cy) {
+      const size = 22;
+      const x = cx !== undefined ? cx - size / 2 : random() * (state.width - size);
+      const y = cy !== undefined ? cy - size / 2 : -size - 6;
+      const p = pools.powerUps.acquire();
+      p.x = x;
+      p.y = y;
+      p.size = size;
+      p.vy = cfg.powerUpSpeed;
+      p.type = type;
+      state.powerUps.push(p);
+    }
+
+    function isPowerUpActive(p, type) {
+      return type in p.activePowerUps;
+    }
+
+    /** Apply a power-up collected by ship `p`; timed ones (re)start their countdown. */
+    function activatePowerUp(p, type) {
+      const def = POWER_UP_TYPES[type];
+      if (!def) return;
+      if (def.durationSec > 0) {
+        const durationSec = def.durationSec * cfg.powerUpDurationScale;
+        p.activePowerUps[type] = { remainingSec: durationSec, durationSec };
+      }
+      if (def.apply) def.apply(hookContexts[p.index]);
+      stats.powerUps[type] = (stats.powerUps[type] || 0) + 1;
+      emit('powerUp', { powerUpType: type, player: p.index });
+    }
+
+    function expirePowerUp(p, type) {
+      if (!isPowerUpActive(p, type)) return;
+      delete p.activePowerUps[type];
+      const def = POWER_UP_TYPES[type];
+      if (def && def.expire) def.expire(hookContexts[p.index]);
+      emit('powerUpExpired', { powerUpType: type, player: p.index });
+    }
+
+    /** Destroy the enemy at `index`, award its score to player `owner` and raise enemyKilled. */
+    function destroyEnemy(index, owner) {
+      const e = state.enemies[index];
+      const def = ENEMY_TYPES[e.type];
+      const cx = e.x + e.width / 2;
+      const cy = e.y + e.height / 2;
+      emitExplosion(cx, cy, def.color, Math.round(12 * Math.max(1, e.width / 36)));
+      e.hp = 0; // marks it dead for collision grids built before the removal
+      pools.enemies.remove(state.enemies, index);
+      const points = scoreKill(def.score, owner);
+      stats.kills[e.type] = (stats.kills[e.type] || 0) + 1;
+      if (e.drop) spawnPowerUp(e.drop, cx, cy);
+      emit('enemyKilled', { enemyType: e.type, x: cx, y: cy, points, player: owner });
+    }
+
+    /** Apply `damage` from player `owner` to enemy `e`; destroys it when its HP runs out. */
+    function damageEnemy(e, damage, owner) {
+      e.hp -= damage;
+      if (e.hp <= 0) {
+        destroyEnemy(state.enemies.indexOf(e), owner);
+        return;
+      }
+      e.hitFlashSec = cfg.enemyHitFlashSec;
+      emit('enemyHit', { enemyType: e.type, hp: e.hp, maxHp: e.maxHp });
+    }
+
+    /**
+     * Set off a bomb from ship `p` (its stock is the caller's business): a
+     * shockwave starts at the ship, which is briefly invulnerable.
+     */
+    function detonateBomb(p) {
+      const x = p.x + p.width / 2;
+      const y = p.y + p.height / 2;
+      stats.bombs += 1;
+      p.invulnerableSec = Math.max(p.invulnerableSec, cfg.bombInvulnerabilitySec);
+      state.shockwaves.push({
+        id: stats.bombs,
+        owner: p.index,
+        x,
+        y,
+        radius: 0,
+        maxRadius: Math.hypot(Math.max(x, state.width - x), Math.max(y, state.height - y)),
+        ageSec: 0,
+        bullets: 0,
+        points: 0,
+      });
+      emit('bomb', { player: p.index, x, y, bombs: p.bombs });
+    }
+
+    /** Add a bomb to ship `p`'s stock, up to cfg.maxBombs. @returns {boolean} whether it fitted */
+    function gainBomb(p) {
+      if (!cfg.canShoot || p.bombs >= cfg.maxBombs) return false;
+      p.bombs += 1;
+      emit('bombGained', { player: p.index, bombs: p.bombs });
+      return true;
+    }
+
+    /**
+     * Bomb drop picked up by ship `p`: stocked, or set off at once when the
+     * stock is full. Gunless ships (Survival) get nothing from it.
+     */
+    function collectBomb(p) {
+      if (cfg.canShoot && !gainBomb(p)) detonateBomb(p);
+    }
+
+    /**
+     * Grow every shockwave; enemies and the boss it reaches within
+     * cfg.bombRadius take bomb damage, once per wave.
+     */
+    function updateShockwaves(dt) {
+      for (const wave of state.shockwaves) {
+        wave.ageSec += dt;
+        wave.radius = wave.maxRadius * Math.min(1, wave.ageSec / cfg.bombExpandSec);
+        const reach = Math.min(wave.radius, cfg.bombRadius);
+        for (let i = state.enemies.length - 1; i >= 0; i--) {
+          const e = state.enemies[i];
+          if (e.bombWave === wave.id || !circleReachesRect(wave.x, wave.y, reach, e)) continue;
+          e.bombWave = wave.id;
+          damageEnemy(e, cfg.bombDamage, wave.owner);
+        }
+        const { boss } = state;
+        if (boss && boss.bombWave !== wave.id && circleReachesRect(wave.x, wave.y, reach, boss)) {
+          boss.bombWave = wave.id;
+          damageBoss(Math.ceil(boss.maxHp * cfg.bombBossDamage), wave.owner);
+        }
+      }
+    }
+
+    /** The first shockwave that has reached the center of enemy bullet `b`, or null. */
+    function shockwaveOver(b) {
+      const x = b.x + b.width / 2;
+      const y = b.y + b.height / 2;
+      for (const wave of state.shockwaves) {
+        if ((x - wave.x) ** 2 + (y - wave.y) ** 2 <= wave.radius ** 2) return wave;
+      }
+      return null;
+    }
+
+    function gainLife() {
+      state.lives = Math.min(cfg.maxLives + cfg.extraLives, state.lives + 1);
+      emit('lifeGained', { lives: state.lives });
+    }
+
+    /** Context handed to power-up hooks, one per ship (its `player` collected the orb). */
+    const hookContexts = players.map((p) => ({ state, cfg, player: p, collectBomb: () => collectBomb(p), gainLife }));
+
+    /** Emit a particle explosion at (x,y). */
+    function emitExplosion(x, y, color = '#ffd166', count = 12) {
+      for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        const speed = 60 + random() * 220;
+        const p = pools.particles.acquire();
+        p.x = x;
+        p.y = y;
+        p.life = 0.6 + random() * 0.6;
+        p.dx = Math.cos(angle) * speed;
+        p.dy = Math.sin(angle) * speed;
+        p.color = color;
+        state.particles.push(p);
+      }
+    }
+
+    /** Add a bullet fired by player `owner` with the given size and velocity. */
+    function addBullet(owner, x, y, width, height, vx, vy) {
+      const b = pools.bullets.acquire();
+      b.owner = owner;
+      b.x = x;
+      b.y = y;
+      b.width = width;
+      b.height = height;
+      b.vx = vx;
+      b.vy = vy;
+      state.bullets.push(b);
+      stats.shotsFired += 1;
+    }
+
+    /** FIRE_PATTERNS hook: one enemy bullet from the bottom center of `e`. */
+    function fireEnemyBullet(e, angle, speed) {
+      const b = pools.enemyBullets.acquire();
+      b.x = e.x + e.width / 2 - 2;
+      b.y = e.y + e.height;
+      b.width = 4;
+      b.height = 10;
+      b.vx = Math.cos(angle) * speed;
+      b.vy = Math.sin(angle) * speed;
+      b.grazed = false;
+      b.dead = false;
+      state.enemyBullets.push(b);
+    }
+
+    /** Context handed to fire patterns; bulletSpeed is refreshed each step, player (the target) per shooter. */
+    const fireContext = { player: players[0], bulletSpeed: cfg.enemyBulletSpeed, fire: fireEnemyBullet };
+    /** Context handed to movement patterns; speed and player (the nearest ship) are set per enemy. */
+    const moveContext = { state, player: players[0], speed: 0 };
+
+    /** Fire ship `p`'s bullet(s); honors double-shot and spread-shot power-ups. */
+    function shootBullet(p) {
+      const width = 5;
+      const height = 12;
+      const baseX = p.x + p.width / 2 - width / 2;
+      const y = p.y - height;
+      const speed = cfg.bulletSpeed;
+      if (isPowerUpActive(p, 'double')) {
+        const offset = Math.max(6, Math.min(14, p.width * 0.22));
+        addBullet(p.index, baseX - offset, y, width, height, 0, -speed);
+        addBullet(p.index, baseX + offset, y, width, height, 0, -speed);
+      } else {
+        addBullet(p.index, baseX, y, width, height, 0, -speed);
+      }
+      if (isPowerUpActive(p, 'spread')) {
+        // Two extra bullets fanned out ~15° either side
+        const angle = Math.PI / 12;
+        for (const dir of [-1, 1]) {
+          addBullet(p.index, baseX, y, width, height, dir * Math.sin(angle) * speed, -Math.cos(angle) * speed);
+        }
+      }
+      emit('shot', { player: p.index });
+    }
+
+    /**
+     * Decrement the shared lives and handle game over. `p` is the ship that
+     * was struck (absent for an escape): solo it is nudged back to a safe
+     * position, in co-op it goes down and respawns after cfg.respawnSec.
+     * Escapes are free when cfg.escapesCostLives is off (Survival).
+     * @param {'collision'|'enemyBullet'|'escape'} cause
+     * @param {Player} [p]
+     */
+    function loseLife(cause, p) {
+      if (state.godMode || (cause === 'escape' && !cfg.escapesCostLives)) return;
+      state.lives -= 1;
+      stats.livesLost[cause] += 1;
+      stats.damage.push({ timeSec: state.timeSec, cause, absorbed: false });
+      emit('lifeLost', p ? { cause, lives: state.lives, player: p.index } : { cause, lives: state.lives });
+      if (state.lives <= 0) {
+        state.status = 'gameover';
+        emit('gameOver', { score: state.score, reason: 'lives' });
+        return;
+      }
+      if (playerCount > 1 && p) {
+        for (const type of Object.keys(p.activePowerUps)) expirePowerUp(p, type);
+        p.alive = false;
+        p.respawnSec = cfg.respawnSec;
+        emit('playerDown', { player: p.index, cause });
+        return;
+      }
+      // Nudge player back to a safe position
+      const solo = players[0];
+      solo.x = state.width / 2 - solo.width / 2;
+      solo.y = state.height - 90;
+    }
+
+    /** Bring downed ship `p` back at its spawn slot, briefly invulnerable. */
+    function respawnPlayer(p) {
+      p.alive = true;
+      p.x = playerSpawnX(p.index);
+      p.y = state.height - 90;
+      p.cooldownSec = 0;
+      p.invulnerableSec = cfg.invulnerabilitySec;
+      emit('playerRespawn', { player: p.index });
+    }
+
+    /**
+     * Ship `p` was struck (not an escape). A shield absorbs the hit;
+     * otherwise a life is lost. Either way it ends the ship's combo and grants
+     * invulnerability. In god mode only the invulnerability applies.
+     * @param {Player} p
+     * @param {'collision'|'enemyBullet'} cause
+     */
+    function hitPlayer(p, cause) {
+      p.invulnerableSec = cfg.invulnerabilitySec;
+      if (state.godMode) return; // the ship still blinks, so hits stay visible
+      endCombo(p);
+      if (p.shield) {
+        stats.damage.push({ timeSec: state.timeSec, cause, absorbed: true });
+        expirePowerUp(p, 'shield');
+        p.shield = false; // a starting shield (shop upgrade) has no timed entry to expire
+        emit('shieldAbsorbed', { cause, player: p.index });
+        return;
+      }
+      loseLife(cause, p);
+    }
+
+    if (cfg.levels && cfg.levels.length > 0) startStage(cfg.startStage, cfg.startWave);
+
+    /**
+     * Move ship `p` by one step of `input` and fire when asked.
+     * @param {Player} p
+     * @param {Input} input
+     * @param {number} dt
+     */
+    function movePlayer(p, input, dt) {
+      let moveX = 0;
+      let moveY = 0;
+      if (input.left) moveX -= 1;
+      if (input.right) moveX += 1;
+      if (input.up) moveY -= 1;
+      if (input.down) moveY += 1;
+      if (moveX === 0 && moveY === 0 && (input.moveX || input.moveY)) {
+        // Analog stick: partial deflection moves slower
+        moveX = input.moveX || 0;
+        moveY = input.moveY || 0;
+      }
+
+      if (input.pointer) {
+        // Direct control under finger
+        p.x = input.pointerX - p.width / 2;
+        p.y = input.pointerY - p.height / 2;
+      } else {
+        const length = Math.max(1, Math.hypot(moveX, moveY));
+        p.x += (moveX / length) * cfg.playerSpeed * dt;
+        p.y += (moveY / length) * cfg.playerSpeed * dt;
+      }
+
+      p.x = clamp(p.x, 0, state.width - p.width);
+      p.y = clamp(p.y, 0, state.height - p.height);
+
+      // Shooting
+      p.cooldownSec -= dt;
+      if (cfg.canShoot && (input.fire || input.shoot) && p.cooldownSec <= 0) {
+        shootBullet(p);
+        p.cooldownSec = cfg.shootCooldownSec * p.cooldownScale;
+      }
+
+      // Bombs go off on the press, so holding the button spends one
+      if (cfg.canShoot && input.bomb && !p.bombPressed && p.bombs > 0) {
+        p.bombs -= 1;
+        detonateBomb(p);
+      }
+      p.bombPressed = Boolean(input.bomb);
+    }
+
+    /**
+     * Advance the simulation by `dt` seconds of `input`.
+     * @param {number} dt
+     * @param {Input|Input[]} input one per ship in co-op (a single object drives ship 1)
+     * @returns {GameEvent[]} events raised during this step (plus any raised since the last one)
+     */
+    function step(dt, input = {}) {
+      if (state.status !== 'playing') return flushEvents();
+      const lastSec = Math.floor(state.timeSec);
+      state.timeSec += dt;
+      if (state.timeSec >= stats.scoreSamples.length * cfg.statsSampleSec) stats.scoreSamples.push(state.score);
+      if (cfg.scorePerSec > 0 && Math.floor(state.timeSec) > lastSec) awardScore(cfg.scorePerSec);
+      if (cfg.timeLimitSec > 0 && state.timeSec >= cfg.timeLimitSec) {
+        state.status = 'gameover';
+        emit('gameOver', { score: state.score, reason: 'time' });
+        return flushEvents();
+      }
+
+      // Difficulty scaling
+      state.difficultyElapsedSec += dt;
+      if (state.difficultyElapsedSec >= cfg.difficultyIntervalSec) {
+        state.difficultyElapsedSec -= cfg.difficultyIntervalSec;
+        state.difficultyLevel += 1;
+        state.enemySpeedMultiplier = 1 + state.difficultyLevel * cfg.difficultySpeedStep;
+        emit('difficultyUp', { level: state.difficultyLevel });
+        // A boss still fighting from the previous step keeps the stage
+        if (cfg.bosses && !state.boss) spawnBoss();
+      }
+
+      // Power-ups timer decay
+      for (const p of players) {
+        for (const type of Object.keys(p.activePowerUps)) {
+          const active = p.activePowerUps[type];
+          active.remainingSec = Math.max(0, active.remainingSec - dt);
+          if (active.remainingSec <= 0) expirePowerUp(p, type);
+        }
+      }
+
+      // Combos lapse when no kill extends them in time
+      for (const p of players) {
+        if (p.comboKills === 0) continue;
+        p.comboSec -= dt;
+        if (p.comboSec <= 0) endCombo(p);
+      }
+
+      // Movement and shooting; downed ships count down to their respawn
+      const inputs = Array.isArray(input) ? input : [input];
+      for (const p of players) {
+        if (p.alive) {
+          movePlayer(p, inputs[p.index] || {}, dt);
+        } else {
+          p.respawnSec -= dt;
+          if (p.respawnSec <= 0) respawnPlayer(p);
+        }
+      }
+
+      // Update bullets
+      const { bullets, enemies, enemyBullets, powerUps, particles } = state;
+      for (let i = bullets.length - 1; i >= 0; i--) {
+        const b = bullets[i];
+        b.x += b.vx * dt;
+        b.y += b.vy * dt;
+        if (b.y + b.height < 0 || b.x + b.width < 0 || b.x > state.width) pools.bullets.remove(bullets, i);
+      }
+
+      fireContext.bulletSpeed = cfg.enemyBulletSpeed;
+      if (state.boss) {
+        // Boss fight: scripted waves and random spawns wait
+        updateBoss(dt, fireContext);
+      } else if (state.campaign) {
+        // Scripted waves (power-ups come from the script too)
+        updateCampaign(dt);
+      } else {
+        // Endless: random spawn timers
+        state.enemySpawnTimerSec -= dt;
+        if (state.enemySpawnTimerSec <= 0) {
+          spawnEnemy();
+          state.enemySpawnTimerSec = randomRange(cfg.enemySpawnMinSec, cfg.enemySpawnMaxSec);
+        }
+
+        state.powerUpSpawnTimerSec -= dt;
+        if (state.powerUpSpawnTimerSec <= 0) {
+          spawnPowerUp();
+          state.powerUpSpawnTimerSec = randomRange(cfg.powerUpSpawnMinSec, cfg.powerUpSpawnMaxSec);
+        }
+      }
+
+      // Update enemies: movement and fire come from their archetype
+      for (let i = enemies.length - 1; i >= 0; i--) {
+        const e = enemies[i];
+        const def = ENEMY_TYPES[e.type];
+        e.ageSec += dt;
+        if (e.hitFlashSec > 0) e.hitFlashSec = Math.max(0, e.hitFlashSec - dt);
+        moveContext.speed = e.vy * state.enemySpeedMultiplier;
+        moveContext.player = nearestPlayer(e);
+        MOVEMENT_PATTERNS[def.movement.pattern](e, def.movement, dt, moveContext);
+        // Enemy shooting timer
+        if (def.fire.pattern !== 'none') {
+          e.shootTimerSec -= dt;
+          if (e.shootTimerSec <= 0) {
+            fireContext.player = moveContext.player;
+            FIRE_PATTERNS[def.fire.pattern](e, fireContext, def.fire);
+            e.shootTimerSec = enemyFireDelay(def);
+          }
+        }
+        // Leaving through the side (divers) is harmless; past the bottom costs a life
+        if (e.x + e.width < -40 || e.x > state.width + 40) {
+          pools.enemies.remove(enemies, i);
+          continue;
+        }
+        if (e.y > state.height) {
+          pools.enemies.remove(enemies, i);
+          loseLife('escape');
+          if (state.status !== 'playing') return flushEvents();
+        }
+      }
+
+      // Shockwaves: enemies in range are damaged as the ring reaches them
+      const { shockwaves } = state;
+      updateShockwaves(dt);
+
+      // Update enemy bullets; those inside a shockwave turn into score
+      enemyBulletGrid.clear(state.width, state.height);
+      for (let i = enemyBullets.length - 1; i >= 0; i--) {
+        const b = enemyBullets[i];
+        b.x += b.vx * dt;
+        b.y += b.vy * dt;
+        if (b.y > state.height + 20 || b.y + b.height < -20 || b.x < -20 || b.x > state.width + 20) {
+          pools.enemyBullets.remove(enemyBullets, i);
+          continue;
+        }
+        const wave = shockwaves.length > 0 ? shockwaveOver(b) : null;
+        if (wave) {
+          pools.enemyBullets.remove(enemyBullets, i);
+          wave.bullets += 1;
+          wave.points += cfg.bombBulletPoints;
+          stats.bombBullets += 1;
+          awardScore(cfg.bombBulletPoints, wave.owner);
+          continue;
+        }
+        enemyBulletGrid.insert(b);
+      }
+      for (let i = shockwaves.length - 1; i >= 0; i--) {
+        const wave = shockwaves[i];
+        if (wave.radius < wave.maxRadius) continue;
+        shockwaves.splice(i, 1);
+        emit('shockwaveEnd', { player: wave.owner, x: wave.x, y: wave.y, bullets: wave.bullets, points: wave.points });
+      }
+
+      // Collisions: enemy bullets -> players (their core hitbox)
+      for (const p of players) {
+        if (!p.alive || p.invulnerableSec > 0) continue;
+        probe.box = p;
+        probe.shape = p.core || p.hitbox;
+        const b = enemyBulletGrid.find(p, isLiveAndTouching);
+        if (b) {
+          b.dead = true; // overlapping co-op ships must not both take it
+          pools.enemyBullets.remove(enemyBullets, enemyBullets.indexOf(b));
+          hitPlayer(p, 'enemyBullet');
+          if (state.status !== 'playing') return flushEvents();
+        }
+      }
+
+      // Grazes: enemy bullets passing close to a vulnerable ship without hitting it pay once each
+      for (const p of players) {
+        if (!p.alive || p.invulnerableSec > 0) continue;
+        grazeRect.x = p.x - cfg.grazeDistance;
+        grazeRect.y = p.y - cfg.grazeDistance;
+        grazeRect.width = p.width + cfg.grazeDistance * 2;
+        grazeRect.height = p.height + cfg.grazeDistance * 2;
+        for (let b = enemyBulletGrid.find(grazeRect, isUngrazed); b; b = enemyBulletGrid.find(grazeRect, isUngrazed)) {
+          b.grazed = true;
+          stats.grazes += 1;
+          awardScore(cfg.grazePoints, p.index);
+          emit('graze', { player: p.index, x: b.x + b.width / 2, y: b.y + b.height / 2, points: cfg.grazePoints });
+        }
+      }
+
+      // Update power-ups (a handful at most, so checked directly)
+      for (let i = powerUps.length - 1; i >= 0; i--) {
+        const p = powerUps[i];
+        p.y += p.vy * dt;
+        if (p.y > state.height + 40) { pools.powerUps.remove(powerUps, i); continue; }
+        pickupRect.x = p.x;
+        pickupRect.y = p.y;
+        pickupRect.width = p.size;
+        pickupRect.height = p.size;
+        const collector = players.find((ship) => ship.alive && shapesOverlap(ship, ship.hitbox, pickupRect, HITBOX_SHAPES.orb));
+        if (collector) {
+          const def = POWER_UP_TYPES[p.type];
+          const type = p.type;
+          emitExplosion(p.x + p.size / 2, p.y + p.size / 2, def ? def.color : '#7dfc7d', 14);
+          pools.powerUps.remove(powerUps, i);
+          activatePowerUp(collector, type);
+          if (state.status !== 'playing') return flushEvents();
+        }
+      }
+
+      // Collisions: bullets -> enemies. Each bullet hits the first live enemy
+      // it overlaps; killed enemies stay in the grid with hp <= 0 and are skipped.
+      enemyGrid.clear(state.width, state.height);
+      for (const e of enemies) enemyGrid.insert(e);
+      for (let j = bullets.length - 1; j >= 0; j--) {
+        probe.box = bullets[j];
+        probe.shape = null;
+        const e = enemyGrid.find(bullets[j], isAliveAndTouching);
+        if (!e) continue;
+        const { owner } = bullets[j];
+        pools.bullets.remove(bullets, j);
+        stats.shotsHit += 1;
+        damageEnemy(e, 1, owner);
+      }
+
+      // Collisions: bullets -> boss
+      for (let j = bullets.length - 1; j >= 0 && state.boss; j--) {
+        if (shapesOverlap(state.boss, state.boss.hitbox, bullets[j], null)) {
+          const { owner } = bullets[j];
+          pools.bullets.remove(bullets, j);
+          stats.shotsHit += 1;
+          damageBoss(1, owner);
+        }
+      }
+
+      // Collisions: players -> enemies
+      for (const p of players) {
+        if (!p.alive) continue;
+        if (p.invulnerableSec > 0) {
+          p.invulnerableSec -= dt;
+        }
+        if (p.invulnerableSec <= 0 && state.boss && shapesOverlap(p, p.hitbox, state.boss, state.boss.hitbox)) {
+          emitExplosion(p.x + p.width / 2, p.y + p.height / 2, p.color, 18);
+          hitPlayer(p, 'collision');
+          if (state.status !== 'playing') return flushEvents();
+        }
+        if (p.invulnerableSec <= 0) {
+          probe.box = p;
+          probe.shape = p.hitbox;
+          const e = enemyGrid.find(p, isAliveAndTouching);
+          if (e) {
+            emitExplosion(p.x + p.width / 2, p.y + p.height / 2, p.color, 18);
+            e.hp = 0; // as in destroyEnemy: the grid still holds it
+            pools.enemies.remove(enemies, enemies.indexOf(e));
+            hitPlayer(p, 'collision');
+            if (state.status !== 'playing') return flushEvents();
+          }
+        }
+      }
+
+      // Score milestones restock every ship's bombs (gainBomb ignores gunless ships)
+      while (cfg.bombMilestonePoints > 0 && state.score >= state.nextBombScore) {
+        state.nextBombScore += cfg.bombMilestonePoints;
+        for (const p of players) gainBomb(p);
+      }
+
+      // Particles
+      for (let i = particles.length - 1; i >= 0; i--) {
+        const p = particles[i];
+        p.life -= dt;
+        p.x += p.dx * dt;
+        p.y += p.dy * dt;
+        if (p.life <= 0) pools.particles.remove(particles, i);
+      }
+
+      return flushEvents();
+    }
+
+    /**
+     * Switch the logical size (e.g., on orientation change), rescaling entity
+     * positions proportionally.
+     */
+    function resize(width, height) {
+      if (width === state.width && height === state.height) return;
+      const scaleX = width / state.width;
+      const scaleY = height / state.height;
+
+      for (const p of players) { p.x *= scaleX; p.y *= scaleY; }
+      for (const e of state.enemies) { e.x *= scaleX; e.y *= scaleY; e.baseX *= scaleX; }
+      if (state.boss) { state.boss.x *= scaleX; state.boss.y *= scaleY; }
+      for (const b of state.bullets) { b.x *= scaleX; b.y *= scaleY; }
+      for (const p of state.particles) { p.x *= scaleX; p.y *= scaleY; }
+      for (const w of state.shockwaves) { w.x *= scaleX; w.y *= scaleY; }
+
+      state.width = width;
+      state.height = height;
+
+      // Clamp players after rescale
+      for (const p of players) {
+        p.x = clamp(p.x, 0, state.width - p.width);
+        p.y = clamp(p.y, 0, state.height - p.height);
+      }
+    }
+
+    /**
+     * Jump to difficulty `level`: enemy speed, archetypes and spawn pacing
+     * follow at once, and the next step-up is a full interval away. Emits
+     * difficultyUp but, unlike a timed step-up, never spawns a boss.
+     * @param {number} level
+     */
+    function setDifficultyLevel(level) {
+      state.difficultyLevel = Math.max(0, Math.floor(level));
+      state.difficultyElapsedSec = 0;
+      state.enemySpeedMultiplier = 1 + state.difficultyLevel * cfg.difficultySpeedStep;
+      emit('difficultyUp', { level: state.difficultyLevel });
+    }
+
+    /**
+     * The run so far as plain JSON-safe data, to resume later with
+     * loadSnapshot on a game created from the same config. Hitboxes are left
+     * out (they follow from the config), as are pending events.
+     */
+    function saveSnapshot() {
+      const omit = (key, value) => (key === 'hitbox' || key === 'core' || key === 'player' ? undefined : value);
+      return JSON.parse(JSON.stringify({ state, rng: random.getState() }, omit));
+    }
+
+    /**
+     * Continue the run captured by saveSnapshot. Throws, leaving this game
+     * unchanged, when the snapshot can't belong to a game of this config.
+     */
+    function loadSnapshot(snapshot) {
+      const saved = snapshot && snapshot.state;
+      if (!saved || !Number.isInteger(snapshot.rng)) throw new Error('Snapshot is incomplete');
+      if (!Array.isArray(saved.players) || saved.players.length !== players.length) throw new Error('Snapshot has a different number of players');
+      for (const key of ['enemies', 'bullets', 'particles', 'powerUps', 'enemyBullets']) {
+        if (!Array.isArray(saved[key])) throw new Error(`Snapshot is missing ${key}`);
+      }
+      if (saved.enemies.some((e) => !ENEMY_TYPES[e.type]) || (saved.boss && !BOSS_TYPES[saved.boss.type])) {
+        throw new Error('Snapshot has unknown enemy types');
+      }
+      // Ships, stats and entity lists are updated in place: helpers hold references to them
+      const { players: savedPlayers, stats: savedStats, ...rest } = saved;
+      savedPlayers.forEach((p, i) => Object.assign(players[i], p));
+      Object.assign(stats, savedStats);
+      for (const [key, value] of Object.entries(rest)) {
+        if (Array.isArray(state[key])) state[key].splice(0, state[key].length, ...value);
+        else state[key] = value;
+      }
+      for (const e of state.enemies) e.hitbox = hitboxOf(e.type, ENEMY_TYPES[e.type]);
+      if (state.boss) state.boss.hitbox = hitboxOf(state.boss.type, BOSS_TYPES[state.boss.type]);
+      random.setState(snapshot.rng);
+      events = [];
+    }
+
+    /** Debug: while on, hits and escapes cost no lives, shields or combos. */
+    function setGodMode(on) {
+      state.godMode = Boolean(on);
+    }
+
+    /**
+     * Live game state. Treat it as read-only outside this module; it is returned
+     * by reference so renderers don't pay for a copy every frame.
+     */
+    function getState() {
+      return state;
+    }
+
+    return {
+      step, getState, resize, saveSnapshot, loadSnapshot, spawnEnemy, spawnBoss, spawnPowerUp, setDifficultyLevel, setGodMode, config: cfg,
+    };
+  }
+
+  return {
+    createGame,
+    createRng,
+    dailySeed,
+    encodeDailyResult,
+    decodeDailyResult,
+    rectsOverlap,
+    shapesOverlap,
+    createHitMask,
+    validateHitbox,
+    validateLevel,
+    sanitizeTuning,
+    resolveDifficulty,
+    DEFAULT_CONFIG,
+    TUNABLES,
+    TUNABLE_RANGES,
+    DIFFICULTY_PRESETS,
+    GAME_MODES,
+    PLAYER_COLORS,
+    HITBOX_SHAPES,
+    POWER_UP_TYPES,
+    ENEMY_TYPES,
+    BOSS_TYPES,
+    FORMATIONS,
+  };
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+/*
+ * Space Shooter Service Worker
+ * - Precaches the app shell so an installed copy plays offline
+ * - Every URL is relative to this file, so the game works under any base path
+ *   (the worker's scope is its own directory)
+ * - Bump CACHE_VERSION on every deploy: the new worker installs next to the
+ *   old one and waits; the page shows an "update available" prompt and asks it
+ *   to take over (skipWaiting) only when the player chooses to reload
+ * - Sections:
+ *   1) Constants
+ *   2) Lifecycle
+ *   3) Fetch
+ */
+
+/**
+ * 1) Constants
+ */
+const CACHE_VERSION = 'v4';
+/** Cache names are scoped so copies hosted under other paths of the same origin are left alone. */
+const CACHE_PREFIX = `space-shooter:${self.registration.scope}:`;
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/** App shell, relative to this file. New assets must be listed here to work offline. */
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'sim.js',
+  'audio.js',
+  'script.js',
+  'manifest.webmanifest',
+  'levels/index.json',
+  'levels/stage1.json',
+  'levels/stage2.json',
+  'public/assets.json',
+  'public/jet.png',
+  'public/enemy.png',
+  'public/ship-sheet.png',
+  'public/explosion-sheet.png',
+];
+
+/**
+ * 2) Lifecycle
+ */
+self.addEventListener('install', (event) => {
+  // Bypass the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(
+      PRECACHE_URLS.map((url) => new Request(new URL(url, self.location), { cache: 'reload' })),
+    )),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page's "Reload" button: replace the running version now
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+/**
+ * 3) Fetch
+ * Cache first for the precached shell (query strings such as ?stress are
+ * ignored), network for everything else. Offline navigations fall back to
+ * the cached index.html.
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) => cache.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).catch((err) => {
+        if (request.mode !== 'navigate') throw err;
+        return cache.match(new URL('index.html', self.location)).then((shell) => shell || Promise.reject(err));
+      });
+    })),
+  );
+});
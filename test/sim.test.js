@@ -0,0 +1,895 @@
+'use strict';
+
+/*
+ * Simulation core tests. Run with: node --test
+ * Drives sim.js headlessly with scripted input; no browser or DOM required.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createGame, createRng, dailySeed, encodeDailyResult, decodeDailyResult, rectsOverlap, shapesOverlap, createHitMask, validateHitbox, validateLevel, sanitizeTuning, resolveDifficulty,
+  DEFAULT_CONFIG, TUNABLES, DIFFICULTY_PRESETS, GAME_MODES, HITBOX_SHAPES, POWER_UP_TYPES, ENEMY_TYPES, BOSS_TYPES, FORMATIONS,
+} = require('../sim.js');
+
+const STEP = 1 / 60;
+const IDLE = {};
+
+/** Step `game` for `seconds` of the same input; returns all raised events. */
+function run(game, seconds, input = IDLE) {
+  const events = [];
+  const steps = Math.round(seconds / STEP);
+  for (let i = 0; i < steps; i++) events.push(...game.step(STEP, input));
+  return events;
+}
+
+/** Config with no random spawns or enemy fire, so tests place entities themselves. */
+const QUIET = {
+  enemySpawnMinSec: 1e9,
+  enemySpawnMaxSec: 1e9,
+  powerUpSpawnMinSec: 1e9,
+  powerUpSpawnMaxSec: 1e9,
+  enemyShootMinSec: 1e9,
+  enemyShootMaxSec: 1e9,
+  spawnInvulnerabilitySec: 0,
+};
+
+/** Spawn an enemy of `type` (default grunt) that stays put and never fires unless overridden. */
+function addEnemy(game, props, type = 'grunt') {
+  return Object.assign(game.spawnEnemy(type, 0, 0), { vy: 0, shootTimerSec: 1e9 }, props);
+}
+
+test('rectsOverlap detects overlap and treats touching edges as apart', () => {
+  const a = { x: 0, y: 0, width: 10, height: 10 };
+  assert.equal(rectsOverlap(a, { x: 5, y: 5, width: 10, height: 10 }), true);
+  assert.equal(rectsOverlap(a, { x: 10, y: 0, width: 10, height: 10 }), false);
+  assert.equal(rectsOverlap(a, { x: 0, y: 20, width: 10, height: 10 }), false);
+});
+
+test('shapesOverlap tests circles, capsules, convex polygons and masks inside their boxes', () => {
+  const box = { x: 0, y: 0, width: 20, height: 20 };
+  const corner = { x: 0, y: 0, width: 2, height: 2 };
+  const center = { x: 9, y: 9, width: 2, height: 2 };
+  const circle = { kind: 'circle', x: 0.5, y: 0.5, r: 0.5 };
+  assert.equal(shapesOverlap(box, null, corner, null), true);
+  assert.equal(shapesOverlap(box, circle, corner, null), false, 'the orb misses its box corner');
+  assert.equal(shapesOverlap(box, circle, center, null), true);
+  const capsule = { kind: 'capsule', x1: 0.5, y1: 0.2, x2: 0.5, y2: 0.8, r: 0.1 };
+  assert.equal(shapesOverlap(box, capsule, { x: 9, y: 2, width: 2, height: 2 }, null), true);
+  assert.equal(shapesOverlap(box, capsule, { x: 14, y: 9, width: 2, height: 2 }, null), false);
+  assert.equal(shapesOverlap(box, capsule, { x: 5, y: 5, width: 10, height: 10 }, circle), true);
+  const triangle = { kind: 'polygon', points: [[0.5, 0], [1, 1], [0, 1]] };
+  assert.equal(shapesOverlap(box, triangle, corner, null), false);
+  assert.equal(shapesOverlap(box, triangle, { x: 8, y: 16, width: 4, height: 4 }, null), true);
+  // Masks: solid left column only
+  const mask = createHitMask({ data: Uint8ClampedArray.from([0, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 255, 0, 0, 0, 0]), width: 2, height: 2 });
+  assert.deepEqual(Array.from(mask.bits), [1, 0, 1, 0]);
+  assert.equal(shapesOverlap(box, mask, { x: 2, y: 12, width: 2, height: 2 }, null), true);
+  assert.equal(shapesOverlap(box, mask, { x: 14, y: 2, width: 2, height: 2 }, null), false);
+  assert.equal(shapesOverlap(box, mask, { x: 5, y: 5, width: 20, height: 20 }, mask), true);
+  assert.equal(shapesOverlap(box, mask, { x: 15, y: 0, width: 20, height: 20 }, mask), false);
+});
+
+test('built-in hitboxes are valid and bad shapes are rejected', () => {
+  for (const shape of Object.values(HITBOX_SHAPES)) validateHitbox(shape);
+  for (const def of [...Object.values(ENEMY_TYPES), ...Object.values(BOSS_TYPES)]) validateHitbox(def.hitbox);
+  assert.throws(() => validateHitbox({ kind: 'polygon', points: [[0, 0], [1, 0], [0.5, 0.2], [1, 1], [0, 1]] }), /polygon: must be convex/);
+  assert.throws(() => validateHitbox({ kind: 'circle', x: 0.5, y: 1.5, r: 0.2 }), /circle:/);
+  assert.throws(() => validateHitbox({ kind: 'blob' }), /unknown kind 'blob'/);
+  assert.throws(() => createGame({ hitboxes: { grunt: { kind: 'mask', cols: 2, rows: 2, bits: [1] } } }), /mask: needs one bit per cell/);
+});
+
+test('createRng is deterministic per seed', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const c = createRng(43);
+  const seqA = [a(), a(), a()];
+  assert.deepEqual(seqA, [b(), b(), b()]);
+  assert.notDeepEqual(seqA, [c(), c(), c()]);
+  for (const v of seqA) assert.ok(v >= 0 && v < 1);
+});
+
+test('same seed and input produce the same run', () => {
+  const input = { fire: true, left: true };
+  const a = createGame({ seed: 7 });
+  const b = createGame({ seed: 7 });
+  run(a, 20, input);
+  run(b, 20, input);
+  assert.deepEqual(a.getState(), b.getState());
+});
+
+test('daily seeds follow the date and result codes round-trip only when intact', () => {
+  assert.equal(dailySeed('2026-10-18'), dailySeed('2026-10-18'));
+  assert.notEqual(dailySeed('2026-10-18'), dailySeed('2026-10-19'));
+  assert.ok(Number.isInteger(dailySeed('2026-10-18')) && dailySeed('2026-10-18') >= 0);
+
+  const code = encodeDailyResult('2026-10-18', 12450);
+  assert.match(code, /^SS-20261018-12450-[0-9A-Z]{5}$/);
+  assert.deepEqual(decodeDailyResult(code), { date: '2026-10-18', score: 12450 });
+  assert.deepEqual(decodeDailyResult(` ${code.toLowerCase()} `), { date: '2026-10-18', score: 12450 });
+  assert.equal(decodeDailyResult(code.replace('12450', '12451')), null);
+  assert.equal(decodeDailyResult(code.replace('20261018', '20261019')), null);
+  assert.equal(decodeDailyResult('SS-nonsense'), null);
+});
+
+test('keyboard input moves the player at playerSpeed and clamps to bounds', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const { player } = game.getState();
+  const startX = player.x;
+  run(game, 0.5, { right: true });
+  assert.ok(Math.abs(player.x - (startX + 160)) < 1e-6);
+  run(game, 10, { right: true });
+  assert.equal(player.x, 800 - player.width);
+});
+
+test('analog input scales speed by deflection and yields to held directions', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const { player } = game.getState();
+  const startX = player.x;
+  run(game, 0.5, { moveX: 0.5, moveY: 0 });
+  assert.ok(Math.abs(player.x - (startX + 80)) < 1e-6, 'half deflection, half speed');
+  const x = player.x;
+  run(game, 0.5, { moveX: 1, left: true });
+  assert.ok(Math.abs(player.x - (x - 160)) < 1e-6, 'D-pad / keys win');
+  const y = player.y;
+  run(game, 0.1, { moveX: 3, moveY: -4 });
+  assert.ok(Math.abs(Math.hypot(player.x - (x - 160), player.y - y) - 32) < 1e-6, 'clamped to full speed');
+});
+
+test('pointer input places the ship under the pointer', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  game.step(STEP, { pointer: true, pointerX: 200, pointerY: 300 });
+  const { player } = game.getState();
+  assert.equal(player.x, 200 - player.width / 2);
+  assert.equal(player.y, 300 - player.height / 2);
+});
+
+test('shooting an enemy scores its archetype value and raises enemyKilled', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const { player } = game.getState();
+  addEnemy(game, { x: player.x, y: 100 });
+  const events = run(game, 1, { fire: true });
+  const state = game.getState();
+  assert.equal(state.enemies.length, 0);
+  assert.equal(state.score, ENEMY_TYPES.grunt.score);
+  assert.equal(events.filter((e) => e.type === 'enemyKilled').length, 1);
+  assert.ok(events.some((e) => e.type === 'shot'));
+});
+
+test('an escaping enemy costs a life', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  addEnemy(game, { x: 0, y: 590, vy: 100 });
+  const events = run(game, 0.5);
+  assert.equal(game.getState().lives, 2);
+  assert.deepEqual(events.find((e) => e.type === 'lifeLost'), { type: 'lifeLost', cause: 'escape', lives: 2 });
+});
+
+test('colliding with an enemy costs a life and grants invulnerability', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const { player } = game.getState();
+  addEnemy(game, { x: player.x, y: player.y });
+  addEnemy(game, { x: player.x, y: player.y });
+  const events = game.step(STEP, IDLE);
+  assert.equal(game.getState().lives, 2);
+  assert.equal(events.filter((e) => e.type === 'lifeLost').length, 1);
+  assert.equal(events[0].cause, 'collision');
+  assert.ok(player.invulnerableSec > 0);
+});
+
+test('game over is raised exactly when the last life is lost, then the game stops', () => {
+  const game = createGame({ ...QUIET, seed: 1, maxLives: 3 });
+  let gameOverAt = null;
+  for (let i = 0; i < 3; i++) addEnemy(game, { x: 0, y: 560 + i * 30, vy: 60 });
+  for (let stepIndex = 1; stepIndex <= 120 && gameOverAt === null; stepIndex++) {
+    const events = game.step(STEP, IDLE);
+    if (events.some((e) => e.type === 'gameOver')) gameOverAt = stepIndex;
+  }
+  const state = game.getState();
+  assert.equal(state.status, 'gameover');
+  assert.equal(state.lives, 0);
+  // The last enemy (y=560) needs 41 px at 60 px/s to pass the bottom edge.
+  assert.ok(Math.abs(gameOverAt * STEP - 41 / 60) < 2 * STEP, `game over at step ${gameOverAt}`);
+  const timeAtGameOver = state.timeSec;
+  assert.deepEqual(game.step(STEP, IDLE), []);
+  assert.equal(state.timeSec, timeAtGameOver);
+});
+
+test('difficulty ramps enemy speed every interval', () => {
+  const game = createGame({ ...QUIET, seed: 1, difficultyIntervalSec: 10, difficultySpeedStep: 0.25 });
+  const events = run(game, 25);
+  const state = game.getState();
+  assert.equal(state.difficultyLevel, 2);
+  assert.equal(state.enemySpeedMultiplier, 1.5);
+  assert.deepEqual(events.filter((e) => e.type === 'difficultyUp').map((e) => e.level), [1, 2]);
+});
+
+/** Drop a power-up of `type` onto the player so the next step collects it. */
+function giveAtPlayer(game, type) {
+  const state = game.getState();
+  state.powerUps.push({ x: state.player.x, y: state.player.y, size: 22, vy: 0, type });
+  return game.step(STEP, IDLE);
+}
+
+test('picking up a power-up enables double shot for its duration', () => {
+  const game = createGame({ ...QUIET, seed: 1, powerUpDurationScale: 0.4 });
+  const state = game.getState();
+  const events = giveAtPlayer(game, 'double');
+  assert.ok(events.some((e) => e.type === 'powerUp' && e.powerUpType === 'double'));
+  assert.equal(state.player.activePowerUps.double.durationSec, 2);
+  game.step(STEP, { fire: true });
+  assert.equal(state.bullets.length, 2);
+  const expired = run(game, 2.1);
+  assert.equal('double' in state.player.activePowerUps, false);
+  assert.ok(expired.some((e) => e.type === 'powerUpExpired' && e.powerUpType === 'double'));
+});
+
+test('spread shot fires a fan and rapid fire shortens the cooldown until it expires', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  giveAtPlayer(game, 'spread');
+  game.step(STEP, { fire: true });
+  assert.equal(state.bullets.length, 3);
+  assert.deepEqual(state.bullets.map((b) => Math.sign(b.vx)).sort(), [-1, 0, 1]);
+
+  giveAtPlayer(game, 'rapid');
+  assert.equal(state.player.cooldownScale, 0.45);
+  run(game, 10);
+  assert.equal(state.player.cooldownScale, 1);
+});
+
+test('shield absorbs exactly one hit', () => {
+  const game = createGame({ ...QUIET, seed: 1, invulnerabilitySec: 0 });
+  const state = game.getState();
+  const { player } = state;
+  giveAtPlayer(game, 'shield');
+  assert.equal(player.shield, true);
+  addEnemy(game, { x: player.x, y: player.y });
+  const events = game.step(STEP, IDLE);
+  assert.ok(events.some((e) => e.type === 'shieldAbsorbed' && e.cause === 'collision'));
+  assert.equal(state.lives, 3);
+  assert.equal(player.shield, false);
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  assert.equal(state.lives, 2);
+});
+
+test('a bomb\'s shockwave turns enemy bullets into score and damages enemies in range', () => {
+  const game = createGame({ ...QUIET, seed: 1, invulnerabilitySec: 0 });
+  const state = game.getState();
+  const { player } = state;
+  assert.equal(player.bombs, DEFAULT_CONFIG.bombStock);
+  const near = addEnemy(game, { x: player.x, y: player.y - 150 }, 'gunship');
+  addEnemy(game, { x: player.x, y: player.y - 120 });
+  const far = addEnemy(game, { x: player.x, y: 10 });
+  state.enemyBullets.push({ x: 10, y: 10, width: 4, height: 10, vx: 0, vy: 0, grazed: false });
+  state.enemyBullets.push({ x: 700, y: 300, width: 4, height: 10, vx: 0, vy: 0, grazed: false });
+
+  // Held for a second: one bomb, and the ship can't be hit meanwhile
+  const events = run(game, 1, { bomb: true });
+  assert.equal(events.filter((e) => e.type === 'bomb').length, 1);
+  assert.equal(player.bombs, DEFAULT_CONFIG.bombStock - 1);
+  assert.ok(player.invulnerableSec > 0);
+  assert.equal(state.enemyBullets.length, 0);
+  assert.deepEqual(events.filter((e) => e.type === 'shockwaveEnd').map((e) => [e.bullets, e.points]), [[2, 2 * DEFAULT_CONFIG.bombBulletPoints]]);
+  assert.equal(state.shockwaves.length, 0);
+  assert.equal(near.hp, ENEMY_TYPES.gunship.hp - DEFAULT_CONFIG.bombDamage, 'damaged once by the wave');
+  assert.ok(state.enemies.includes(far), 'out of range');
+  assert.equal(state.stats.kills.grunt, 1);
+  assert.equal(state.score, ENEMY_TYPES.grunt.score + 2 * DEFAULT_CONFIG.bombBulletPoints);
+
+  run(game, STEP, IDLE);
+  run(game, 1, { bomb: true });
+  run(game, STEP, IDLE);
+  assert.equal(run(game, 1, { bomb: true }).filter((e) => e.type === 'bomb').length, 0, 'out of bombs');
+  assert.equal(state.stats.bombs, 2);
+});
+
+test('bombs restock from drops and score milestones, and a full stock sets a drop off', () => {
+  const game = createGame({ ...QUIET, seed: 1, players: 2, bombStock: 1, maxBombs: 3, bombMilestonePoints: 1000 });
+  const state = game.getState();
+  const [p1, p2] = state.players;
+  giveAtPlayer(game, 'bomb');
+  assert.deepEqual([p1.bombs, p2.bombs], [2, 1]);
+  state.score = 2500;
+  const events = game.step(STEP, IDLE);
+  assert.equal(events.filter((e) => e.type === 'bombGained').length, 3, 'p1 is capped at maxBombs after one');
+  assert.deepEqual([p1.bombs, p2.bombs], [3, 3]);
+  assert.equal(state.nextBombScore, 3000);
+  const full = giveAtPlayer(game, 'bomb');
+  assert.ok(full.some((e) => e.type === 'bomb' && e.player === 0));
+  assert.equal(p1.bombs, 3);
+});
+
+test('extra life is capped at maxLives', () => {
+  const game = createGame({ ...QUIET, seed: 1, maxLives: 3 });
+  const state = game.getState();
+  giveAtPlayer(game, 'life');
+  assert.equal(state.lives, 3);
+  state.lives = 1;
+  giveAtPlayer(game, 'life');
+  assert.equal(state.lives, 2);
+});
+
+test('power-up spawns follow registry weights', () => {
+  const game = createGame({ seed: 3, enemySpawnMinSec: 1e9, enemySpawnMaxSec: 1e9, powerUpSpawnMinSec: 0.01, powerUpSpawnMaxSec: 0.01 });
+  run(game, 30);
+  const counts = {};
+  for (const p of game.getState().powerUps) counts[p.type] = (counts[p.type] || 0) + 1;
+  for (const type of Object.keys(counts)) assert.ok(type in POWER_UP_TYPES, type);
+  assert.ok(counts.double > counts.life);
+});
+
+test('resize rescales entity positions to the new logical size', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  addEnemy(game, { x: 400, y: 300 });
+  game.resize(600, 800);
+  const state = game.getState();
+  assert.equal(state.width, 600);
+  assert.equal(state.enemies[0].x, 300);
+  assert.ok(Math.abs(state.enemies[0].y - 400) < 1e-9);
+});
+
+test('multi-HP enemies flash when hit and die after their last hit point', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  const { player } = state;
+  const gunship = addEnemy(game, { x: player.x - 10, y: 100 }, 'gunship');
+  gunship.holdSec = Infinity; // keep it parked
+  const events = [];
+  let flashed = false;
+  for (let i = 0; i < 600 && state.enemies.length > 0; i++) {
+    events.push(...game.step(STEP, { fire: true }));
+    if (gunship.hitFlashSec > 0) flashed = true;
+  }
+  assert.ok(flashed);
+  assert.equal(events.filter((e) => e.type === 'enemyHit').length, ENEMY_TYPES.gunship.hp - 1);
+  assert.equal(events.filter((e) => e.type === 'enemyKilled').length, 1);
+  assert.equal(state.score, ENEMY_TYPES.gunship.score);
+});
+
+test('movement patterns follow their archetype', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  const weaver = addEnemy(game, { x: 300, baseX: 300, y: 0, vy: 50 }, 'weaver');
+  const zigzag = addEnemy(game, { x: 300, y: 0, vy: 50, vx: 150 }, 'zigzag');
+  const diver = addEnemy(game, { x: 0, y: 0, vy: 50 }, 'diver');
+  const weaverXs = new Set();
+  for (let i = 0; i < 240; i++) {
+    game.step(STEP, IDLE);
+    weaverXs.add(Math.round(weaver.x));
+  }
+  assert.ok(Math.abs(weaver.y - 200) < 1e-6, 'descends at vy');
+  assert.ok(weaverXs.size > 50, 'weaves sideways');
+  assert.ok(Math.abs(zigzag.vx) === 150 && zigzag.x !== 300);
+  assert.equal(diver.diving, true);
+  assert.ok(diver.vx > 0, 'dives toward the player');
+  assert.ok(state.enemies.includes(weaver));
+});
+
+test('strafe enemies hold their line, then leave', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const gunship = addEnemy(game, { x: 300, y: 0, vy: 100, vx: 80 }, 'gunship');
+  const holdY = 600 * ENEMY_TYPES.gunship.movement.holdY;
+  run(game, 3);
+  assert.ok(gunship.y >= holdY && gunship.y < holdY + 5);
+  run(game, ENEMY_TYPES.gunship.movement.holdSec);
+  assert.ok(gunship.y > holdY + 50);
+});
+
+test('random spawns only use archetypes unlocked at the current level', () => {
+  const game = createGame({ seed: 5, enemySpawnMinSec: 0.05, enemySpawnMaxSec: 0.05, enemyShootMinSec: 1e9, enemyShootMaxSec: 1e9, maxLives: 1e9 });
+  const seen = new Set();
+  for (let i = 0; i < 600; i++) {
+    game.step(STEP, IDLE);
+    for (const e of game.getState().enemies) seen.add(e.type);
+  }
+  for (const type of seen) assert.equal(ENEMY_TYPES[type].minLevel, 0, type);
+});
+
+test('validateLevel fills defaults and names the offending path', () => {
+  const level = validateLevel({ name: 'T', waves: [{ spawns: [{ enemy: 'grunt' }] }] });
+  assert.deepEqual(level.waves[0].spawns[0], {
+    enemy: 'grunt', powerUp: undefined, drop: undefined, formation: 'single', count: 1,
+    x: 0.5, y: -0.06, spacing: 0.1, atSec: 0, interval: 0,
+  });
+  assert.equal(level.waves[0].delaySec, 2);
+  assert.throws(() => validateLevel({ waves: [] }), /^Error: waves: /);
+  assert.throws(() => validateLevel({ waves: [{ spawns: [{ enemy: 'boss' }] }] }), /waves\[0\]\.spawns\[0\]: unknown enemy 'boss'/);
+  assert.throws(() => validateLevel({ waves: [{ spawns: [{ enemy: 'grunt', powerUp: 'life' }] }] }), /exactly one/);
+  assert.throws(() => validateLevel({ waves: [{ spawns: [{ enemy: 'grunt', count: 0 }] }] }), /count: must be a positive integer/);
+  assert.throws(() => validateLevel({ waves: [{ spawns: [{ enemy: 'grunt', formation: 'box' }] }] }), /unknown formation/);
+});
+
+test('formations spread members around the anchor', () => {
+  assert.deepEqual([0, 1, 2].map((i) => FORMATIONS.line(i, 3, 10).dx), [-10, 0, 10]);
+  const v = [0, 1, 2].map((i) => FORMATIONS.v(i, 3, 10));
+  assert.equal(v[0].dx, 0);
+  assert.ok(v[1].dx === -v[2].dx && v[1].dy < 0 && v[1].dy === v[2].dy, 'wingmen mirror and trail');
+  for (let i = 0; i < 6; i++) {
+    const { dx, dy } = FORMATIONS.circle(i, 6, 50);
+    assert.ok(Math.abs(Math.hypot(dx, dy) - 50) < 1e-9);
+  }
+});
+
+/** Two single-enemy waves; the second is a checkpoint and its grunt drops a shield. */
+const TEST_LEVELS = [
+  validateLevel({
+    name: 'One',
+    waves: [
+      { name: 'A', delaySec: 0.5, spawns: [{ enemy: 'grunt', formation: 'line', count: 3, x: 0.5, y: 0.2 }] },
+      { name: 'B', delaySec: 0.5, checkpoint: true, spawns: [{ enemy: 'grunt', x: 0.25, y: 0.2, drop: 'shield' }] },
+    ],
+  }),
+  validateLevel({ name: 'Two', waves: [{ spawns: [{ powerUp: 'life', x: 0.5, y: 0.5 }] }] }),
+];
+
+
+test('scripted waves spawn formations at fractional positions and advance when cleared', () => {
+  const game = createGame({ ...QUIET, seed: 1, levels: TEST_LEVELS, stageClearSec: 1 });
+  const state = game.getState();
+  let events = run(game, 0.1);
+  assert.deepEqual(events.find((e) => e.type === 'stageStart'), { type: 'stageStart', stage: 0, name: 'One' });
+  events = run(game, 0.5);
+  assert.equal(events.find((e) => e.type === 'waveStart').name, 'A');
+  assert.equal(state.enemies.length, 3);
+  const centers = state.enemies.map((e) => e.x + e.width / 2).sort((a, b) => a - b);
+  const unit = 0.1 * state.width;
+  assert.deepEqual(centers, [state.width / 2 - unit, state.width / 2, state.width / 2 + unit]);
+
+  // Wave B only starts after A is cleared, then its delay
+  run(game, 2);
+  assert.equal(state.campaign.waveIndex, 0);
+  state.enemies.length = 0;
+  events = run(game, 0.6);
+  assert.equal(events.find((e) => e.type === 'waveStart').name, 'B');
+  assert.deepEqual(state.campaign.checkpoint, { stage: 0, wave: 1 });
+
+  // The dropped power-up is released where the carrier dies
+  const carrier = state.enemies[0];
+  assert.equal(carrier.drop, 'shield');
+  state.bullets.push({ x: carrier.x + carrier.width / 2, y: carrier.y + carrier.height - 2, width: 4, height: 4, vx: 0, vy: 0 });
+  events = run(game, 0.1);
+  assert.deepEqual(state.powerUps.map((p) => p.type), ['shield']);
+  const clear = events.find((e) => e.type === 'stageClear');
+  assert.deepEqual(clear, { type: 'stageClear', stage: 0, name: 'One', score: state.score, last: false });
+  events = run(game, 1);
+  assert.equal(events.find((e) => e.type === 'stageStart').name, 'Two');
+});
+
+test('the campaign falls back to the random spawner once finished', () => {
+  const levels = [TEST_LEVELS[1]];
+  const game = createGame({ ...QUIET, seed: 1, levels, stageClearSec: 0.5 });
+  const events = run(game, 3);
+  assert.equal(events.find((e) => e.type === 'stageClear').last, true);
+  assert.ok(events.some((e) => e.type === 'endless'));
+  assert.equal(game.getState().campaign, null);
+});
+
+test('a run can start from a checkpoint wave', () => {
+  const game = createGame({ ...QUIET, seed: 1, levels: TEST_LEVELS, startStage: 0, startWave: 1 });
+  const events = run(game, 0.6);
+  assert.equal(events.find((e) => e.type === 'waveStart').wave, 1);
+  assert.equal(game.getState().enemies.length, 1);
+});
+
+test('a boss arrives at each difficulty step and pauses normal spawns', () => {
+  const game = createGame({ ...QUIET, seed: 1, difficultyIntervalSec: 1, enemySpawnMinSec: 0.1, enemySpawnMaxSec: 0.1 });
+  const state = game.getState();
+  const events = run(game, 1);
+  const spawn = events.find((e) => e.type === 'bossSpawn');
+  assert.deepEqual(spawn, { type: 'bossSpawn', bossType: 'dreadnought', name: BOSS_TYPES.dreadnought.name, level: 1 });
+  state.enemies.length = 0;
+  run(game, 3);
+  assert.equal(state.enemies.length, 0, 'no random spawns during the fight');
+  assert.ok(state.boss.y > 0, 'descends into view');
+  assert.ok(!run(game, 1).some((e) => e.type === 'bossSpawn'), 'one boss at a time');
+});
+
+test('boss phases change at HP thresholds and defeat pays out', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  const boss = game.spawnBoss('dreadnought');
+  const def = BOSS_TYPES.dreadnought;
+  assert.equal(boss.maxHp, def.hp);
+  assert.equal(boss.width, def.width);
+
+  /** Land one player bullet on the boss. */
+  const shoot = () => {
+    state.bullets.push({ x: boss.x + boss.width / 2, y: boss.y + boss.height - 2, width: 4, height: 4, vx: 0, vy: 0 });
+    return game.step(STEP, IDLE);
+  };
+  const phases = [];
+  let events = [];
+  while (state.boss && events.length < 1000) {
+    const raised = shoot();
+    events.push(...raised);
+    for (const e of raised) if (e.type === 'bossPhase') phases.push([e.phase, boss.hp / boss.maxHp]);
+  }
+  assert.deepEqual(phases.map(([phase]) => phase), [1, 2]);
+  assert.ok(phases[0][1] <= def.phases[1].hpBelow && phases[1][1] <= def.phases[2].hpBelow);
+  const defeated = events.find((e) => e.type === 'bossDefeated');
+  assert.equal(defeated.points, def.score);
+  assert.equal(state.score, def.score);
+  assert.equal(state.powerUps.length, 1, 'guaranteed drop');
+  assert.ok(state.particles.length >= 80, 'big explosion');
+});
+
+test('boss HP scales with level, bombs hurt it and the hive drops a life', () => {
+  const game = createGame({ ...QUIET, seed: 1, difficultyIntervalSec: 1, bosses: false });
+  const state = game.getState();
+  run(game, 2);
+  assert.equal(state.boss, null, 'disabled by config');
+  const boss = game.spawnBoss();
+  assert.equal(boss.type, 'hive', 'level 2 takes the next boss in order');
+  assert.equal(boss.maxHp, Math.round(BOSS_TYPES.hive.hp * 1.5));
+  boss.y = 50;
+  Object.assign(state.player, { x: boss.x, y: boss.y + boss.height + 20 });
+  run(game, 1, { bomb: true });
+  assert.equal(boss.hp, boss.maxHp - Math.ceil(boss.maxHp * 0.1));
+  boss.hp = 1;
+  state.bullets.push({ x: boss.x + boss.width / 2, y: boss.y + boss.height / 2, width: 4, height: 4, vx: 0, vy: 0 });
+  run(game, STEP);
+  assert.deepEqual(state.powerUps.map((p) => p.type), ['life']);
+});
+
+test('bosses fire their phase emitters once in position', () => {
+  const game = createGame({ ...QUIET, seed: 1, enemyShootMinSec: 0.5, enemyShootMaxSec: 0.5 });
+  const state = game.getState();
+  const boss = game.spawnBoss('hive');
+  boss.y = state.height * BOSS_TYPES.hive.holdY;
+  run(game, 0.75);
+  assert.equal(state.enemyBullets.length, BOSS_TYPES.hive.phases[0].fire[0].count);
+});
+
+test('difficulty presets only override tunable keys and resolve to full tunings', () => {
+  for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+    for (const key of Object.keys(preset.config)) assert.ok(key in TUNABLES, `${id}.${key}`);
+    assert.deepEqual(sanitizeTuning(preset.config), preset.config, `${id} is within range`);
+  }
+  const normal = resolveDifficulty('normal');
+  assert.deepEqual(Object.keys(normal), Object.keys(TUNABLES));
+  assert.equal(normal.maxLives, DEFAULT_CONFIG.maxLives);
+  assert.equal(resolveDifficulty('hard').maxLives, DIFFICULTY_PRESETS.hard.config.maxLives);
+  assert.deepEqual(resolveDifficulty('bogus'), normal);
+  assert.equal(resolveDifficulty('custom', { maxLives: 7 }).maxLives, 7);
+  const game = createGame({ ...QUIET, ...resolveDifficulty('easy') });
+  assert.equal(game.getState().lives, DIFFICULTY_PRESETS.easy.config.maxLives);
+});
+
+test('sanitizeTuning clamps, rounds lives, orders ranges and drops junk', () => {
+  assert.deepEqual(
+    sanitizeTuning({ maxLives: 2.6, playerSpeed: 9999, enemySpawnMinSec: 2, enemySpawnMaxSec: 1, enemyBulletSpeed: 'fast', seed: 4 }),
+    { maxLives: 3, playerSpeed: TUNABLES.playerSpeed.max, enemySpawnMinSec: 1, enemySpawnMaxSec: 2 }
+  );
+  assert.deepEqual(sanitizeTuning(null), {});
+});
+
+test('destroyed enemies are recycled with no state carried over', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  const { player } = state;
+  const diver = addEnemy(game, { x: player.x, y: 100, diving: true, drop: 'life', wave: 3 });
+  const bystander = addEnemy(game, { x: 0, y: 100 });
+  run(game, 1, { fire: true });
+  assert.deepEqual(state.enemies, [bystander]);
+  const reused = game.spawnEnemy('grunt');
+  assert.equal(reused, diver);
+  assert.equal(reused.diving, false);
+  assert.equal(reused.drop, undefined);
+  assert.equal(reused.wave, undefined);
+  assert.equal(reused.hp, ENEMY_TYPES.grunt.hp);
+});
+
+test('swap-removal keeps every survivor when many enemies die in one step', () => {
+  const game = createGame({ ...QUIET, seed: 1, bosses: false });
+  const state = game.getState();
+  const doomed = [];
+  const survivors = [];
+  for (let i = 0; i < 40; i++) {
+    const e = addEnemy(game, { x: (i % 20) * 40, y: i < 20 ? 40 : 200 });
+    (i < 20 ? doomed : survivors).push(e);
+  }
+  // One bullet parked inside each doomed enemy
+  for (const e of doomed) state.bullets.push({ x: e.x + 4, y: e.y + 4, width: 5, height: 12, vx: 0, vy: 0 });
+  const events = game.step(STEP, IDLE);
+  assert.equal(events.filter((e) => e.type === 'enemyKilled').length, doomed.length);
+  assert.equal(state.bullets.length, 0);
+  assert.deepEqual(new Set(state.enemies), new Set(survivors));
+});
+
+test('grid collisions hit entities spanning several cells and skip dead ones', () => {
+  const game = createGame({ ...QUIET, seed: 1, collisionCellSize: 16 });
+  const state = game.getState();
+  const { player } = state;
+  // Whole-box hitboxes, so corners count
+  Object.assign(player, { hitbox: null, core: null });
+  // Two bullets into a single one-HP enemy: the second passes through its corpse
+  const e = addEnemy(game, { x: 300, y: 100, hitbox: null });
+  for (let i = 0; i < 2; i++) state.bullets.push({ x: e.x + e.width - 6, y: e.y + e.height - 6, width: 5, height: 5, vx: 0, vy: 0 });
+  const events = game.step(STEP, IDLE);
+  assert.equal(events.filter((ev) => ev.type === 'enemyKilled').length, 1);
+  assert.equal(state.bullets.length, 1);
+  // An enemy bullet touching only the player's far corner still lands
+  state.enemyBullets.push({ x: player.x + player.width - 2, y: player.y + player.height - 2, width: 4, height: 10, vx: 0, vy: 0 });
+  const hit = game.step(STEP, IDLE);
+  assert.deepEqual(hit.find((ev) => ev.type === 'lifeLost'), { type: 'lifeLost', cause: 'enemyBullet', lives: 2, player: 0 });
+  assert.equal(state.enemyBullets.length, 0);
+});
+
+test('co-op enemies aim at the nearest living ship', () => {
+  const game = createGame({ ...QUIET, seed: 1, players: 2, bosses: false });
+  const state = game.getState();
+  const [p1, p2] = state.players;
+  const e = addEnemy(game, { x: p2.x, y: 100, shootTimerSec: 0 });
+  game.step(STEP, [IDLE, IDLE]);
+  const shot = state.enemyBullets[0];
+  assert.ok(Math.abs(shot.vx) < Math.abs(shot.vy) / 10, 'fires straight at player 2 below it');
+  // With player 2 down, the same enemy turns on player 1
+  p2.alive = false;
+  p2.respawnSec = 1e9;
+  state.enemyBullets.length = 0;
+  e.shootTimerSec = 0;
+  game.step(STEP, [IDLE, IDLE]);
+  assert.equal(Math.sign(state.enemyBullets[0].vx), Math.sign(p1.x - p2.x));
+});
+
+test('co-op ships keep their own score and power-ups', () => {
+  const game = createGame({ ...QUIET, seed: 1, players: 2, bosses: false });
+  const state = game.getState();
+  const [p1, p2] = state.players;
+  assert.notEqual(p1.color, p2.color);
+  addEnemy(game, { x: p2.x, y: p2.y - 120 });
+  game.spawnPowerUp('double', p1.x, p1.y);
+  const events = run(game, 1, [IDLE, { fire: true }]);
+  assert.equal(events.find((ev) => ev.type === 'enemyKilled').player, 1);
+  assert.equal(p2.score, ENEMY_TYPES.grunt.score);
+  assert.equal(p1.score, 0);
+  assert.equal(state.score, p2.score);
+  assert.equal(events.find((ev) => ev.type === 'powerUp').player, 0);
+  assert.ok('double' in p1.activePowerUps);
+  assert.deepEqual(p2.activePowerUps, {});
+});
+
+test('a downed co-op ship respawns from the shared life pool', () => {
+  const game = createGame({ ...QUIET, seed: 1, players: 2, maxLives: 2, respawnSec: 1 });
+  const state = game.getState();
+  const [p1, p2] = state.players;
+  addEnemy(game, { x: p1.x, y: p1.y });
+  const down = run(game, STEP, [IDLE, IDLE]);
+  assert.deepEqual(down.find((ev) => ev.type === 'playerDown'), { type: 'playerDown', player: 0, cause: 'collision' });
+  assert.equal(state.lives, 1);
+  assert.equal(p1.alive, false);
+  // A downed ship can't be hit again; its partner plays on
+  addEnemy(game, { x: p1.x, y: p1.y });
+  run(game, 0.5, [{ left: true }, IDLE]);
+  assert.equal(state.lives, 1);
+  const back = run(game, 0.6, [IDLE, IDLE]);
+  assert.ok(back.some((ev) => ev.type === 'playerRespawn' && ev.player === 0));
+  assert.equal(p1.alive, true);
+  assert.ok(p1.invulnerableSec > 0);
+  // Losing the last shared life ends the run whoever takes the hit
+  addEnemy(game, { x: p2.x, y: p2.y });
+  const over = run(game, STEP, [IDLE, IDLE]);
+  assert.ok(over.some((ev) => ev.type === 'gameOver'));
+  assert.equal(state.status, 'gameover');
+});
+
+test('an enemy or bullet touching both overlapping co-op ships is taken by one of them', () => {
+  for (const kind of ['enemy', 'bullet']) {
+    const game = createGame({ ...QUIET, seed: 1, players: 2, maxLives: 5 });
+    const state = game.getState();
+    const [p1, p2] = state.players;
+    Object.assign(p2, { x: p1.x, y: p1.y });
+    const bystander = addEnemy(game, { x: 10, y: 10 });
+    const stray = { x: 700, y: 100, width: 4, height: 10, vx: 0, vy: 0, grazed: false, dead: false };
+    state.enemyBullets.push(stray);
+    if (kind === 'enemy') addEnemy(game, { x: p1.x, y: p1.y });
+    else state.enemyBullets.push({ x: p1.x + p1.width / 2 - 2, y: p1.y + p1.height / 2 - 5, width: 4, height: 10, vx: 0, vy: 0, grazed: false, dead: false });
+    const events = game.step(STEP, [IDLE, IDLE]);
+    assert.equal(events.filter((ev) => ev.type === 'lifeLost').length, 1, kind);
+    assert.equal(events.filter((ev) => ev.type === 'playerDown').length, 1, kind);
+    assert.equal(state.lives, 4, kind);
+    assert.deepEqual(state.enemies, [bystander], kind);
+    assert.deepEqual(state.enemyBullets, [stray], kind);
+    assert.ok(!('-1' in state.enemies) && !('-1' in state.enemyBullets), kind);
+  }
+});
+
+test('kills in quick succession raise the combo multiplier until it lapses or the ship is hit', () => {
+  const game = createGame({ ...QUIET, seed: 1, comboKillsPerStep: 2, comboWindowSec: 1 });
+  const state = game.getState();
+  const { player } = state;
+  const kill = () => {
+    const e = addEnemy(game, { x: 300, y: 100 });
+    state.bullets.push({ x: e.x + 4, y: e.y + 4, width: 5, height: 12, vx: 0, vy: 0, owner: 0 });
+    return game.step(STEP, IDLE);
+  };
+  const points = [];
+  for (let i = 0; i < 4; i++) points.push(kill().find((ev) => ev.type === 'enemyKilled').points);
+  const base = ENEMY_TYPES.grunt.score;
+  assert.deepEqual(points, [base, base, 2 * base, 2 * base]);
+  assert.equal(player.multiplier, 3);
+  const lapsed = run(game, 1.1);
+  assert.deepEqual(lapsed.find((ev) => ev.type === 'comboEnd'), { type: 'comboEnd', player: 0, kills: 4, multiplier: 3 });
+  assert.equal(player.multiplier, 1);
+  kill();
+  kill();
+  assert.equal(player.multiplier, 2);
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  assert.equal(player.multiplier, 1);
+  assert.equal(player.comboKills, 0);
+});
+
+test('an enemy bullet passing close to the ship grazes once', () => {
+  const game = createGame({ ...QUIET, seed: 1, grazeDistance: 10 });
+  const state = game.getState();
+  const { player } = state;
+  // Falls past the ship's right edge, 6 px clear of its hitbox
+  state.enemyBullets.push({ x: player.x + player.width + 6, y: player.y - 40, width: 4, height: 10, vx: 0, vy: 300, grazed: false });
+  const events = run(game, 0.5);
+  const grazes = events.filter((ev) => ev.type === 'graze');
+  assert.equal(grazes.length, 1);
+  assert.equal(state.score, DEFAULT_CONFIG.grazePoints);
+  assert.equal(state.lives, DEFAULT_CONFIG.maxLives);
+  // Farther out is a clean miss
+  state.enemyBullets.push({ x: player.x + player.width + 20, y: player.y - 40, width: 4, height: 10, vx: 0, vy: 300, grazed: false });
+  assert.equal(run(game, 0.5).filter((ev) => ev.type === 'graze').length, 0);
+});
+
+test('run stats count shots, hits, kills, pickups and damage by cause', () => {
+  const game = createGame({ ...QUIET, seed: 1, statsSampleSec: 1 });
+  const state = game.getState();
+  const { stats, player } = state;
+  addEnemy(game, { x: player.x, y: 100 });
+  addEnemy(game, { x: player.x, y: 40 }, 'gunship').holdSec = Infinity;
+  run(game, 3, { fire: true });
+  assert.ok(stats.shotsFired > stats.shotsHit);
+  assert.equal(stats.shotsHit, ENEMY_TYPES.grunt.hp + ENEMY_TYPES.gunship.hp);
+  assert.deepEqual(stats.kills, { grunt: 1, gunship: 1 });
+  assert.deepEqual(stats.scoreSamples, [0, ENEMY_TYPES.grunt.score, state.score]); // at 0 s, 1 s and 2 s
+  giveAtPlayer(game, 'shield');
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  player.invulnerableSec = 0;
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  addEnemy(game, { x: 300, y: state.height + 1 });
+  game.step(STEP, IDLE);
+  assert.deepEqual(stats.powerUps, { shield: 1 });
+  assert.deepEqual(stats.livesLost, { collision: 1, enemyBullet: 0, escape: 1 });
+  assert.deepEqual(stats.damage.map((d) => [d.cause, d.absorbed]), [['collision', true], ['collision', false], ['escape', false]]);
+});
+
+test('reserve lives extend the starting and maximum lives; a starting shield absorbs only the first hit', () => {
+  const game = createGame({ ...QUIET, seed: 1, maxLives: 3, extraLives: 2, startShield: true });
+  const state = game.getState();
+  const { player } = state;
+  assert.equal(state.lives, 5);
+  assert.equal(player.shield, true);
+  addEnemy(game, { x: player.x, y: player.y });
+  const events = game.step(STEP, IDLE);
+  assert.ok(events.some((e) => e.type === 'shieldAbsorbed'));
+  assert.equal(state.lives, 5);
+  assert.equal(player.shield, false, 'used up');
+  player.invulnerableSec = 0;
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  assert.equal(state.lives, 4, 'the second hit costs a life');
+  giveAtPlayer(game, 'life');
+  giveAtPlayer(game, 'life');
+  assert.equal(state.lives, 5);
+});
+
+test('god mode ignores hits and escapes; a difficulty jump applies at once', () => {
+  const game = createGame({ ...QUIET, seed: 1, godMode: true });
+  const state = game.getState();
+  const { player } = state;
+  addEnemy(game, { x: player.x, y: player.y });
+  addEnemy(game, { x: 300, y: state.height + 1 });
+  const events = game.step(STEP, IDLE);
+  assert.ok(!events.some((e) => e.type === 'lifeLost'));
+  assert.equal(state.lives, DEFAULT_CONFIG.maxLives);
+  game.setGodMode(false);
+  player.invulnerableSec = 0;
+  addEnemy(game, { x: player.x, y: player.y });
+  game.step(STEP, IDLE);
+  assert.equal(state.lives, DEFAULT_CONFIG.maxLives - 1);
+
+  game.setDifficultyLevel(4);
+  const jumped = game.step(STEP, IDLE);
+  assert.deepEqual(jumped.filter((e) => e.type === 'difficultyUp'), [{ type: 'difficultyUp', level: 4 }]);
+  assert.equal(state.difficultyLevel, 4);
+  assert.equal(state.enemySpeedMultiplier, 1 + 4 * DEFAULT_CONFIG.difficultySpeedStep);
+  assert.equal(state.boss, null);
+});
+
+test('game modes: time limits, gunless survival scored by the second, and a one-life hardcore start', () => {
+  const timed = createGame({ ...QUIET, seed: 1, ...GAME_MODES.timeAttack.config });
+  const events = run(timed, 121);
+  assert.deepEqual(events.filter((e) => e.type === 'gameOver'), [{ type: 'gameOver', score: 0, reason: 'time' }]);
+  assert.equal(timed.getState().status, 'gameover');
+  assert.ok(timed.getState().timeSec < 120.1);
+
+  const survival = createGame({ ...QUIET, seed: 1, ...GAME_MODES.survival.config });
+  addEnemy(survival, { x: 0, y: 590, vy: 100 });
+  const dodged = run(survival, 3.5, { fire: true });
+  assert.ok(!dodged.some((e) => e.type === 'shot' || e.type === 'lifeLost'));
+  assert.equal(survival.getState().lives, DEFAULT_CONFIG.maxLives);
+  assert.equal(survival.getState().score, 3 * GAME_MODES.survival.config.scorePerSec);
+
+  // Past a level step there is no boss to hold up the spawns
+  const stepped = createGame({ seed: 1, godMode: true, ...GAME_MODES.survival.config, difficultyIntervalSec: 2 });
+  run(stepped, 6);
+  assert.ok(stepped.getState().difficultyLevel >= 2);
+  assert.equal(stepped.getState().boss, null);
+  assert.ok(stepped.getState().enemies.some((e) => e.ageSec < 2), 'enemies still spawn');
+
+  // No bombs either: none in stock, none from drops or milestones, and the button does nothing
+  const gunless = createGame({ ...QUIET, seed: 1, ...GAME_MODES.survival.config, bombMilestonePoints: 100 });
+  const ship = gunless.getState().player;
+  assert.equal(ship.bombs, 0);
+  ship.bombs = 2;
+  giveAtPlayer(gunless, 'bomb');
+  gunless.getState().score = 1000;
+  const bombless = run(gunless, 1, { bomb: true });
+  assert.ok(!bombless.some((e) => e.type === 'bomb' || e.type === 'bombGained'));
+  assert.equal(ship.bombs, 2);
+  assert.equal(gunless.getState().shockwaves.length, 0);
+
+  const hardcore = createGame({ ...QUIET, seed: 1, extraLives: 2, ...GAME_MODES.hardcore.config });
+  const state = hardcore.getState();
+  assert.equal(state.lives, 1);
+  assert.equal(state.difficultyLevel, GAME_MODES.hardcore.config.startLevel);
+  assert.equal(state.enemySpeedMultiplier, 1 + state.difficultyLevel * DEFAULT_CONFIG.difficultySpeedStep);
+  addEnemy(hardcore, { x: state.player.x, y: state.player.y });
+  assert.ok(hardcore.step(STEP, IDLE).some((e) => e.type === 'gameOver' && e.reason === 'lives'));
+});
+
+test('a snapshot resumes the run exactly, in a fresh game of the same config', () => {
+  const config = { seed: 11, players: 2, godMode: true, levels: TEST_LEVELS.map((level) => validateLevel(level)) };
+  const inputs = [{ fire: true, left: true }, { fire: true, right: true }];
+  const original = createGame(config);
+  run(original, 65, inputs); // past the first boss's arrival
+  assert.ok(original.getState().boss);
+  const snapshot = JSON.parse(JSON.stringify(original.saveSnapshot()));
+  assert.equal(snapshot.state.player, undefined);
+
+  // Compared as JSON: a velocity of -0 comes back as 0
+  const plain = (game) => JSON.parse(JSON.stringify(game.getState()));
+  const resumed = createGame(config);
+  resumed.loadSnapshot(snapshot);
+  assert.deepEqual(plain(resumed), plain(original));
+  assert.equal(resumed.getState().player, resumed.getState().players[0]);
+  run(original, 30, inputs);
+  run(resumed, 30, inputs);
+  assert.deepEqual(plain(resumed), plain(original));
+
+  const solo = createGame({ seed: 11 });
+  assert.throws(() => solo.loadSnapshot(snapshot), /different number of players/);
+  assert.throws(() => solo.loadSnapshot({ state: {} }), /incomplete/);
+  assert.equal(solo.getState().timeSec, 0);
+});
+
+test('enemy bullets must reach the ship\'s core; bodies and pickups use its hull', () => {
+  const game = createGame({ ...QUIET, seed: 1 });
+  const state = game.getState();
+  const { player } = state;
+  player.invulnerableSec = 0;
+  // Through the wingtip: inside the hull but clear of the core, so it only grazes
+  state.enemyBullets.push({ x: player.x + 2, y: player.y + 30, width: 4, height: 10, vx: 0, vy: 0, grazed: false });
+  const wing = game.step(STEP, IDLE);
+  assert.ok(!wing.some((e) => e.type === 'lifeLost'));
+  assert.ok(wing.some((e) => e.type === 'graze'));
+  state.enemyBullets.length = 0;
+  state.enemyBullets.push({ x: player.x + player.width / 2 - 2, y: player.y + player.height / 2 - 5, width: 4, height: 10, vx: 0, vy: 0 });
+  assert.ok(game.step(STEP, IDLE).some((e) => e.type === 'lifeLost' && e.cause === 'enemyBullet'));
+
+  // Without a core the whole hull counts, but its transparent corners still don't
+  const hull = createGame({ ...QUIET, seed: 1, playerCoreRadius: 0 });
+  const ship = hull.getState().player;
+  ship.invulnerableSec = 0;
+  hull.getState().enemyBullets.push({ x: ship.x + 1, y: ship.y + 1, width: 4, height: 4, vx: 0, vy: 0 });
+  assert.ok(!hull.step(STEP, IDLE).some((e) => e.type === 'lifeLost'), 'top-left corner is empty');
+  hull.getState().enemyBullets.push({ x: ship.x + 2, y: ship.y + 30, width: 4, height: 10, vx: 0, vy: 0 });
+  assert.ok(hull.step(STEP, IDLE).some((e) => e.type === 'lifeLost'));
+});